@@ -3,6 +3,27 @@ dotenv.config({ override: true });
 
 const env = process.env;
 
+// JSON-valued env var; invalid JSON fails at startup instead of silently using the default
+function jsonEnv(name, fallback) {
+  const raw = env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON: ${e.message}`);
+  }
+}
+
+// Env var limited to a set of values; anything else fails at startup
+function enumEnv(name, values, fallback) {
+  const raw = env[name];
+  if (!raw) return fallback;
+  if (!values.includes(raw)) {
+    throw new Error(`${name} must be one of: ${values.join(', ')}`);
+  }
+  return raw;
+}
+
 // Server settings from environment with sensible defaults
 const port = parseInt(env.PORT ?? '4000', 10) || 4000;
 const appBaseUrl = env.APP_BASE_URL || `http://localhost:${port}`;
@@ -48,14 +69,93 @@ export const config = {
     defaultModel: env.OPENROUTER_MODEL || 'deepseek/deepseek-chat-v3.1',
   },
 
+  // Routing table file and per-role overrides (utils/routingTable.js, utils/routeOverride.js)
+  routing: {
+    configPath: env.ROUTING_CONFIG || null, // JSON/YAML routing table (utils/routingTable.js); built-in table if unset
+    overrideAllowlist: jsonEnv('ROUTE_OVERRIDE_ALLOWLIST', {
+      admin: { models: '*', categories: '*', temperature: [0, 2], reasoningEffort: '*', reasoningMaxTokens: '*' },
+      user: { models: [], categories: '*', temperature: [0, 1.5], reasoningEffort: ['low', 'medium'], reasoningMaxTokens: 8192 },
+    }),
+    // How categories are picked (utils/queryRouter.js): llm, keyword, embedding or hybrid
+    strategy: enumEnv('ROUTING_STRATEGY', ['llm', 'keyword', 'embedding', 'hybrid'], 'llm'),
+    // Nearest-centroid classifier (utils/embeddingRouter.js)
+    embedding: {
+      centroidsPath: env.ROUTING_CENTROIDS || null, // Centroids fitted offline (dev/fitCentroids.js); built from table examples if unset
+      minMargin: parseFloat(env.ROUTER_EMBEDDING_MIN_MARGIN ?? '0.03'), // hybrid: below this similarity margin, ask the LLM classifier
+    },
+    // Local scoring before the LLM classifier (utils/routeHeuristics.js)
+    heuristics: {
+      enabled: env.ROUTER_HEURISTICS !== 'false',
+      confidenceThreshold: parseFloat(env.ROUTER_CONFIDENCE_THRESHOLD ?? '0.6'), // Skip the classifier at or above this confidence (0-1)
+    },
+    // Keep a conversation on its category across turns (utils/stickyRouting.js)
+    sticky: {
+      enabled: env.ROUTER_STICKY !== 'false',
+      switchAfter: parseInt(env.ROUTER_STICKY_SWITCH_TURNS ?? '2', 10), // Consecutive confident turns needed to move to another category
+      boundaryCategories: (env.ROUTER_STICKY_BOUNDARY ?? 'coding,heavy').split(',').map(s => s.trim()).filter(Boolean), // Confident moves into these switch at once
+    },
+    // Classifier results for repeated queries (utils/routeCache.js)
+    cache: {
+      maxEntries: parseInt(env.ROUTER_CACHE_SIZE ?? '1000', 10), // 0 disables
+      ttlMs: parseInt(env.ROUTER_CACHE_TTL_MS ?? '3600000', 10),
+    },
+    // Provider failures before the first token (utils/modelFallback.js)
+    retry: {
+      attempts: parseInt(env.MODEL_RETRY_ATTEMPTS ?? '2', 10), // Tries per model before falling back to the next one
+      baseDelayMs: parseInt(env.MODEL_RETRY_BASE_DELAY_MS ?? '500', 10), // Doubles per retry
+      maxDelayMs: parseInt(env.MODEL_RETRY_MAX_DELAY_MS ?? '4000', 10),
+      firstTokenTimeoutMs: parseInt(env.MODEL_FIRST_TOKEN_TIMEOUT_MS ?? '60000', 10), // No response chunk this long counts as a timeout (0 disables)
+    },
+  },
+
+  // Reasoning effort and budgets (utils/reasoningEffort.js); requests and routing categories can set their own
+  reasoning: {
+    auto: env.REASONING_AUTO !== 'false', // Pick an effort level from query complexity for known reasoning models
+    traceMaxChars: parseInt(env.REASONING_TRACE_MAX_CHARS ?? '20000', 10), // Longest reasoning trace stored on a turn (users.save_reasoning)
+  },
+
+  // USD per 1M tokens by model id, merged over the built-in prices (utils/pricing.js)
+  pricing: {
+    overrides: jsonEnv('MODEL_PRICING', {}),
+  },
+
   // Prompt and memory settings
   prompt: {
     recentMessageCount: parseInt(env.RECENT_MESSAGE_COUNT ?? '5', 10),
     ragTopK: parseInt(env.RAG_TOP_K ?? '4', 10),
     chunkSize: parseInt(env.CHUNK_SIZE ?? '1000', 10),
     chunkOverlap: parseInt(env.CHUNK_OVERLAP ?? '150', 10),
+    ragPersist: env.RAG_PERSIST !== 'false', // Store embedded chunks in the rag_chunks collection (utils/vectorStore.js)
     maxOutputTokens: parseInt(env.MAX_OUTPUT_TOKENS ?? '2048', 10),
     maxHistoryTokens: parseInt(env.MAX_HISTORY_TOKENS ?? '2000', 10), // Cost optimization
+    summaryCapChars: parseInt(env.SUMMARY_CAP_CHARS ?? '1500', 10), // Long-term memory summary size
+  },
+
+  // Long-term memory
+  memory: {
+    turnSummaries: env.TURN_SUMMARIES !== 'false', // Summarize turns in the background when the model gave no summary
+    turnSummaryMaxChars: parseInt(env.TURN_SUMMARY_MAX_CHARS ?? '240', 10),
+  },
+
+  // Per-user knowledge base (services/knowledge.service.js)
+  knowledge: {
+    topK: parseInt(env.KNOWLEDGE_TOP_K ?? '3', 10), // Chunks added to a prompt (0 disables retrieval)
+    minSimilarity: parseFloat(env.KNOWLEDGE_MIN_SIMILARITY ?? '0.3'), // Cosine similarity a chunk needs to be used
+    maxFileBytes: parseInt(env.KNOWLEDGE_MAX_FILE_BYTES ?? '1048576', 10), // Largest file accepted (0 = no limit)
+    cacheTtlMs: parseInt(env.KNOWLEDGE_CACHE_TTL_MS ?? '300000', 10), // Reload a user's chunks after this long (other instances' uploads)
+  },
+
+  // Chat stream transport settings
+  stream: {
+    keepAliveMs: parseInt(env.SSE_KEEPALIVE_MS ?? '15000', 10), // SSE comment interval (0 disables)
+    resumeGraceMs: parseInt(env.STREAM_RESUME_GRACE_MS ?? '30000', 10), // Keep generating this long after a disconnect
+    replayTtlMs: parseInt(env.STREAM_REPLAY_TTL_MS ?? '300000', 10), // Keep finished streams replayable this long
+  },
+
+  // Blocking chat endpoint (POST /api/chat/complete)
+  chat: {
+    completeTimeoutMs: parseInt(env.CHAT_COMPLETE_TIMEOUT_MS ?? '120000', 10), // Abort and answer 504 after this long (0 disables)
+    compareMaxModels: parseInt(env.COMPARE_MAX_MODELS ?? '4', 10), // Most models one compare-mode request may ask
   },
 };
 
@@ -0,0 +1,22 @@
+import { getRoutingTable, loadRoutingTable } from '../utils/routingTable.js';
+import { getRouteCacheStats } from '../utils/routeCache.js';
+import config from '../config/config.js';
+
+// getRouting() - Active routing table, where it was loaded from, the strategy and the classification cache size
+export async function getRouting(req, res, next) {
+  try {
+    res.json({ ...getRoutingTable(), strategy: config.routing.strategy, cache: getRouteCacheStats() });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// reloadRouting() - Re-read ROUTING_CONFIG; the previous table stays active if the file is invalid
+export async function reloadRouting(req, res, next) {
+  try {
+    res.json(await loadRoutingTable());
+  } catch (err) {
+    err.status = err.status || 400;
+    next(err);
+  }
+}
@@ -0,0 +1,29 @@
+import { getRoutingAnalytics, getVoteAnalytics, parseDateRange } from '../services/analytics.service.js';
+
+// getRouting() - Routing analytics over ?from=&to= (own conversations; admins may pass scope=all)
+export async function getRouting(req, res, next) {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const all = req.query.scope === 'all';
+    if (all && req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'scope=all requires the admin role' });
+    }
+    res.json(await getRoutingAnalytics(req.pb, { from, to, ownerId: all ? null : req.user.id }));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// getVotes() - Compare-mode votes per category over ?from=&to= (own votes; admins may pass scope=all)
+export async function getVotes(req, res, next) {
+  try {
+    const { from, to } = parseDateRange(req.query);
+    const all = req.query.scope === 'all';
+    if (all && req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'scope=all requires the admin role' });
+    }
+    res.json(await getVoteAnalytics(req.pb, { from, to, ownerId: all ? null : req.user.id }));
+  } catch (err) {
+    next(err);
+  }
+}
@@ -1,38 +1,90 @@
-import { streamAIResponse, generateTitle } from '../services/ai.service.js';
-import { createConversation, createTurn, getConversationMeta } from '../services/chat.service.js';
+import { streamAIResponse, streamCompareResponses, generateTitleWithUsage } from '../services/ai.service.js';
+import { createConversation, createTurn, saveCompareTurn, getConversationForTurn, getActiveLeafId, generateRecordId } from '../services/chat.service.js';
 import { isValidPrompt, formatChatResponse } from '../utils/chat.utils.js';
 import { extractAssistantAttachments } from '../services/attachments.service.js';
+import { createStreamWriter } from '../utils/streamWriter.js';
+import {
+  openGeneration,
+  startGeneration,
+  finishGeneration,
+  stopGeneration,
+  InterruptReason,
+} from '../services/generation.service.js';
+import { getStreamBuffer } from '../services/streamBuffer.service.js';
+import { collectAIEvents, collectCompareEvents } from '../utils/streamEvents.js';
+import { getRequestRouteOverride, getRequestCompareModels, overrideRouteSource } from '../utils/routeOverride.js';
+import { RouteSource } from '../utils/queryRouter.js';
+import config from '../config/config.js';
 
+// Existing conversation, or a new one titled from the prompt
+// Returns { conversation, routingState, extraCalls } where extraCalls holds the title call for the turn's cost
+async function getOrCreateConversation(req, conversationId, prompt, signal = null) {
+  if (conversationId) {
+    return { ...(await getConversationForTurn(req, conversationId)), extraCalls: [] };
+  }
+  const { title, model, usage } = await generateTitleWithUsage(prompt, { signal });
+  console.log(`[Conversation] Created new conversation with title: ${title}`);
+  const c = await createConversation(req, title);
+  return {
+    conversation: { id: c.id, title: c.title, created: c.created, updated: c.updated },
+    routingState: null,
+    extraCalls: [{ kind: 'title', model, usage }],
+  };
+}
 
-// streamChat() - NDJSON chunked streaming
+// streamChat() - NDJSON chunked streaming (compare mode: interleaved answers of several models)
 export async function streamChat(req, res, next) {
+  const { conversationId, prompt } = req.body || {};
+  if (!isValidPrompt(prompt)) {
+    res.status(400).set('Content-Type', 'application/json').end(JSON.stringify({ error: 'prompt required' }));
+    return;
+  }
+  let routeOverride;
+  let compareModels;
   try {
-    const { conversationId, prompt } = req.body || {};
-    if (!isValidPrompt(prompt)) {
-      res.status(400).set('Content-Type', 'application/json').end(JSON.stringify({ error: 'prompt required' }));
-      return;
-    }
+    routeOverride = getRequestRouteOverride(req);
+    compareModels = getRequestCompareModels(req, routeOverride);
+  } catch (err) {
+    return next(err);
+  }
 
+  const session = openGeneration(req, res);
+  const { writer, generation, turnId, streamId } = session;
+  try {
     // Prepare streaming headers
-    res.setHeader('Content-Type', 'application/x-ndjson');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+    writer.open();
 
     const userFiles = (req.files && req.files.user_attachments) || [];
 
-    let conversation;
-    if (conversationId) {
-      conversation = await getConversationMeta(req, conversationId);
-    } else {
-      // New conversation - generate title
-      const title = await generateTitle(prompt);
-      console.log(`[Conversation] Created new conversation with title: ${title}`);
-      const c = await createConversation(req, title);
-      conversation = { id: c.id, title: c.title, created: c.created, updated: c.updated };
-    }
+    const { conversation, routingState, extraCalls } = await getOrCreateConversation(req, conversationId, prompt);
+    generation.conversationId = conversation.id;
+    // New turns continue the conversation's active branch
+    const parentId = conversationId ? await getActiveLeafId(req, conversation.id) : null;
 
     // Send init event
-    res.write(JSON.stringify({ type: 'init', conversation }) + '\n');
+    writer.init(conversation, compareModels
+      ? { turnId, streamId, routeSource: RouteSource.COMPARE, compare: compareModels }
+      : { turnId, streamId, routeSource: overrideRouteSource(routeOverride) });
+
+    if (compareModels) {
+      const compareGen = await streamCompareResponses({
+        pb: req.pb,
+        conversationId: conversation.id,
+        prompt,
+        files: userFiles,
+        userInstruction: req.user?.instruction,
+        signal: generation.signal,
+        historyLeafId: parentId,
+        routeOverride,
+        models: compareModels,
+      });
+      // Failed models already got their own error event
+      const results = await writer.pipeCompare(compareGen);
+      const turn = await saveCompareTurn(req, { turnId, conversation, prompt, files: userFiles, models: compareModels, results, parentId, extraCalls });
+      if (turn) writer.final(formatChatResponse(conversation, turn));
+      writer.end();
+      return;
+    }
 
     // Stream AI response
     const chunkGen = await streamAIResponse({
@@ -41,53 +93,242 @@ export async function streamChat(req, res, next) {
       prompt,
       files: userFiles,
       userInstruction: req.user?.instruction,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState,
     });
 
-    let assistantText = '';
-    for await (const chunk of chunkGen) {
-      // Handle reasoning phase markers
-      if (chunk === '___REASONING_START___') {
-        res.write(JSON.stringify({ type: 'reasoning', status: 'start', message: 'Thinking...' }) + '\n');
-        continue;
-      }
-      if (chunk === '___REASONING_END___') {
-        res.write(JSON.stringify({ type: 'reasoning', status: 'complete', message: 'Analysis complete' }) + '\n');
-        continue;
-      }
-      
-      // Handle reasoning content (what model is thinking)
-      if (chunk.startsWith('___REASONING_CONTENT___')) {
-        const reasoningText = chunk.replace('___REASONING_CONTENT___', '').replace('___END_REASONING_CONTENT___', '');
-        res.write(JSON.stringify({ type: 'reasoning', status: 'thinking', content: reasoningText }) + '\n');
-        continue;
-      }
-      
-      // Regular content
-      assistantText += chunk;
-      res.write(JSON.stringify({ type: 'chunk', text: chunk }) + '\n');
+    const { assistantText, reasoningText, usage, routing, interrupted, error } = await writer.pipe(chunkGen);
+    if (error) {
+      // Error event already sent to the client; nothing to persist
+      writer.end();
+      return;
     }
 
-    const usage = (typeof chunkGen.getUsage === 'function') ? chunkGen.getUsage() : {};
-
     const assistantAttachments = extractAssistantAttachments(assistantText);
     const turn = await createTurn(req, {
+      turnId,
       conversationId: conversation.id,
       prompt,
       assistantText,
+      reasoningText,
       files: userFiles,
       assistantAttachments,
       usage,
+      interrupted, // partial answer is kept, flagged with the reason
+      routing,
+      parentId,
+      extraCalls,
     });
 
     const finalPayload = formatChatResponse(conversation, turn);
-    res.write(JSON.stringify({ type: 'final', data: finalPayload }) + '\n');
-    res.end();
+    writer.final(finalPayload);
+    writer.end();
   } catch (err) {
-    try {
-      res.write(JSON.stringify({ type: 'error', message: err?.message || 'stream failed' }) + '\n');
-    } catch {}
-    res.end();
+    writer.error(err);
+    writer.end();
     // Also pass to error middleware for logging
     next(err);
+  } finally {
+    session.close();
+  }
+}
+
+function timeoutError(timeoutMs) {
+  const err = new Error(`Generation timed out after ${timeoutMs}ms`);
+  err.status = 504;
+  return err;
+}
+
+// Settle like `promise`, or reject as soon as the generation is aborted
+// (504 on timeout). Steps that cannot be cancelled finish in the background.
+function untilAborted(promise, signal, timeoutMs) {
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => {
+      if (signal.reason === InterruptReason.TIMEOUT) return reject(timeoutError(timeoutMs));
+      const err = new Error('Generation aborted');
+      err.status = 499;
+      reject(err);
+    };
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// completeChat() - Blocking variant of streamChat: one JSON document once the answer (or every compared answer) is saved
+export async function completeChat(req, res, next) {
+  const { conversationId, prompt } = req.body || {};
+  if (!isValidPrompt(prompt)) {
+    return res.status(400).json({ error: 'prompt required' });
+  }
+  let routeOverride;
+  let compareModels;
+  try {
+    routeOverride = getRequestRouteOverride(req);
+    compareModels = getRequestCompareModels(req, routeOverride);
+  } catch (err) {
+    return next(err);
+  }
+
+  const turnId = generateRecordId();
+  const generation = startGeneration({ turnId, userId: req.user?.id });
+  // Nobody can resume a blocking request, so a disconnect stops it right away
+  res.on('close', () => {
+    if (!res.writableEnded) generation.abort(InterruptReason.CLIENT_DISCONNECTED);
+  });
+  const timeoutMs = config.chat.completeTimeoutMs;
+  const timer = timeoutMs > 0 ? setTimeout(() => generation.abort(InterruptReason.TIMEOUT), timeoutMs) : null;
+
+  try {
+    const userFiles = (req.files && req.files.user_attachments) || [];
+    // The timeout covers the title call, memory and classification too, not only the answer
+    const { signal } = generation;
+    const { conversation, routingState, extraCalls } = await untilAborted(getOrCreateConversation(req, conversationId, prompt, signal), signal, timeoutMs);
+    generation.conversationId = conversation.id;
+    const parentId = conversationId ? await untilAborted(getActiveLeafId(req, conversation.id), signal, timeoutMs) : null;
+
+    if (compareModels) {
+      const results = await collectCompareEvents(await untilAborted(streamCompareResponses({
+        pb: req.pb,
+        conversationId: conversation.id,
+        prompt,
+        files: userFiles,
+        userInstruction: req.user?.instruction,
+        signal: generation.signal,
+        historyLeafId: parentId,
+        routeOverride,
+        models: compareModels,
+      }), signal, timeoutMs));
+      if (compareModels.every(m => !results[m]?.assistantText) && signal.reason === InterruptReason.TIMEOUT) {
+        // Nothing to keep: no empty interrupted turn
+        throw timeoutError(timeoutMs);
+      }
+      const turn = await saveCompareTurn(req, { turnId, conversation, prompt, files: userFiles, models: compareModels, results, parentId, extraCalls });
+      if (!turn) {
+        const error = new Error(`No model answered: ${compareModels.map(m => `${m}: ${results[m]?.error?.message || 'no response'}`).join('; ')}`);
+        error.status = 502;
+        throw error;
+      }
+      const body = {
+        ...formatChatResponse(conversation, turn),
+        compare: compareModels.map(m => ({
+          model: m,
+          usage: results[m]?.usage || {},
+          interrupted: results[m]?.interrupted || null,
+          error: results[m]?.error?.message || null,
+        })),
+      };
+      if (compareModels.some(m => results[m]?.interrupted === InterruptReason.TIMEOUT)) {
+        return res.status(504).json({ error: `Generation timed out after ${timeoutMs}ms`, ...body });
+      }
+      return res.json(body);
+    }
+
+    const chunkGen = await untilAborted(streamAIResponse({
+      pb: req.pb,
+      conversationId: conversation.id,
+      prompt,
+      files: userFiles,
+      userInstruction: req.user?.instruction,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState,
+    }), signal, timeoutMs);
+
+    const { assistantText, reasoningText, usage, routing, interrupted, error } = await collectAIEvents(chunkGen);
+    if (error) {
+      error.status = 502;
+      throw error;
+    }
+    if (interrupted === InterruptReason.TIMEOUT && !assistantText) {
+      // Timed out before the first token: nothing to keep
+      throw timeoutError(timeoutMs);
+    }
+
+    // Partial answers (timeout, stop request) are saved like interrupted streams
+    const turn = await createTurn(req, {
+      turnId,
+      conversationId: conversation.id,
+      prompt,
+      assistantText,
+      reasoningText,
+      files: userFiles,
+      assistantAttachments: extractAssistantAttachments(assistantText),
+      usage,
+      interrupted,
+      routing,
+      parentId,
+      extraCalls,
+    });
+
+    const body = {
+      ...formatChatResponse(conversation, turn),
+      usage,
+      model: routing?.model || null,
+      category: routing?.category || null,
+      routeSource: routing?.source || null,
+      modelFallbacks: routing?.fallbacks || [],
+      reasoningTokens: usage?.reasoningTokens || 0,
+    };
+    if (interrupted === InterruptReason.TIMEOUT) {
+      return res.status(504).json({ error: `Generation timed out after ${timeoutMs}ms`, ...body });
+    }
+    res.json(body);
+  } catch (err) {
+    next(err);
+  } finally {
+    if (timer) clearTimeout(timer);
+    finishGeneration(turnId);
+  }
+}
+
+// resumeStream() - Replay events after ?after=<eventIndex>, then tail the live generation
+export async function resumeStream(req, res, next) {
+  try {
+    const stream = getStreamBuffer(req.params.streamId, req.user?.id);
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found or expired' });
+    }
+    // EventSource reconnects send Last-Event-ID instead of ?after
+    const after = Math.max(0, parseInt(req.query.after ?? req.headers['last-event-id'] ?? '0', 10) || 0);
+
+    const writer = createStreamWriter(req, res);
+    writer.open();
+    for (const entry of stream.eventsAfter(after)) writer.replay(entry);
+    if (stream.done) {
+      writer.end();
+      return;
+    }
+
+    // Attached clients keep the generation alive past the disconnect grace period
+    stream.attach();
+    const unsubscribe = stream.subscribe({
+      onEvent: (entry) => writer.replay(entry),
+      onDone: () => writer.end(),
+    });
+    res.on('close', () => {
+      unsubscribe();
+      stream.detach();
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// stopChat() - Stop a running generation (e.g. from another tab)
+export async function stopChat(req, res, next) {
+  try {
+    const { turnId } = req.params;
+    const stopped = stopGeneration(turnId, { userId: req.user?.id, reason: InterruptReason.STOPPED_BY_USER });
+    if (!stopped) {
+      return res.status(404).json({ error: 'No running generation for this turn' });
+    }
+    res.json({ success: true, turnId });
+  } catch (err) {
+    next(err);
   }
-}
\ No newline at end of file
+}
@@ -1,3 +1,28 @@
+import { getActiveGeneration, openGeneration } from '../services/generation.service.js';
+import {
+  getConversationMeta,
+  getConversationForTurn,
+  getConversationTurn,
+  getConversationTurns,
+  createTurn,
+  setActiveLeaf,
+  addTurnVariant,
+  selectTurnVariant,
+  voteTurnVariant,
+} from '../services/chat.service.js';
+import { streamAIResponse } from '../services/ai.service.js';
+import { loadTurnUserFiles, extractAssistantAttachments } from '../services/attachments.service.js';
+import { isValidPrompt, formatChatResponse, formatTurnVariants } from '../utils/chat.utils.js';
+import { getRequestRouteOverride, overrideRouteSource } from '../utils/routeOverride.js';
+import {
+  buildParentMap,
+  getParentId,
+  getPathToTurn,
+  getSiblingIds,
+  findLatestLeaf,
+  resolveActiveLeaf,
+} from '../utils/turnTree.js';
+
 export async function listConverstations(req, res, next) {
   try {
     const limit = parseInt(req.query.limit || '200', 10);
@@ -11,35 +36,247 @@ export async function listConverstations(req, res, next) {
   }
 }
 
+// Conversation with the turns of its active branch (root → active leaf)
+async function loadConversationDetails(req, id) {
+  const conversation = await req.pb.collection('conversations').getOne(id);
+
+  const turns = await req.pb.collection('turns').getFullList(500, {
+    filter: `conversation = \"${id}\"`,
+    sort: 'created',
+  });
+  const activeLeaf = resolveActiveLeaf(turns, conversation.active_leaf);
+  const parents = buildParentMap(turns);
+
+  const normalizedTurns = getPathToTurn(turns, activeLeaf).map((t) => ({
+    id: t.id,
+    user_text: t.user_text,
+    assistant_text: t.assistant_text,
+    user_attachments: t.user_attachments || [],
+    assistant_attachments: t.assistant_attachments || [],
+    interrupted: !!t.interrupted,
+    interrupt_reason: t.interrupt_reason || null,
+    model: t.model || null,
+    category: t.category || null,
+    route_source: t.route_source || null,
+    routing: t.routing || null,
+    cost_usd: Number(t.cost_usd ?? 0) || 0,
+    variants: formatTurnVariants(t),
+    active_variant: Number(t.active_variant ?? 0) || 0,
+    compare: t.compare || null,
+    summary: t.summary || null,
+    reasoning_text: t.reasoning_text || null,
+    reasoning_tokens: t.reasoning_tokens || null,
+    parent: parents.get(t.id) ?? null,
+    // Alternative branches at this point (edits of the same message), oldest first
+    sibling_ids: getSiblingIds(turns, t.id),
+    created: t.created,
+    updated: t.updated,
+  }));
+
+  return {
+    conversation: {
+      id: conversation.id,
+      title: conversation.title,
+      total_tokens: Number(conversation.total_tokens ?? 0) || 0,
+      cost_usd_total: Number(conversation.cost_usd_total ?? 0) || 0,
+      created: conversation.created,
+      updated: conversation.updated,
+    },
+    turns: normalizedTurns,
+    active_leaf: activeLeaf,
+    // Lets another tab find (and stop) a generation still running here
+    active_turn_id: getActiveGeneration(id)?.turnId || null,
+  };
+}
+
 export async function Conversationdetails(req, res, next) {
+  try {
+    res.json(await loadConversationDetails(req, req.params.id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// switchBranch() - Make the branch through turnId active (its newest leaf)
+export async function switchBranch(req, res, next) {
   try {
     const { id } = req.params;
-    const conversation = await req.pb.collection('conversations').getOne(id);
+    const { turnId } = req.body || {};
+    if (!turnId) {
+      return res.status(400).json({ error: 'turnId required' });
+    }
+    await getConversationTurn(req, id, turnId);
+    const turns = await getConversationTurns(req, id);
+    await setActiveLeaf(req, id, findLatestLeaf(turns, turnId));
+    res.json(await loadConversationDetails(req, id));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// editTurn() - Edit a past user message: answers it on a new sibling branch (streamed like /api/chat/stream)
+export async function editTurn(req, res, next) {
+  const { id, turnId } = req.params;
+  const { prompt } = req.body || {};
+  if (!isValidPrompt(prompt)) {
+    return res.status(400).json({ error: 'prompt required' });
+  }
 
-    const turns = await req.pb.collection('turns').getFullList(500, {
-      filter: `conversation = \"${id}\"`,
-      sort: 'created',
+  let routeOverride;
+  let conversation;
+  let routingState;
+  let parentId;
+  try {
+    routeOverride = getRequestRouteOverride(req);
+    ({ conversation, routingState } = await getConversationForTurn(req, id));
+    const turn = await getConversationTurn(req, id, turnId);
+    parentId = getParentId(await getConversationTurns(req, id), turn.id);
+  } catch (err) {
+    return next(err);
+  }
+  if (getActiveGeneration(id)) {
+    return res.status(409).json({ error: 'A generation is already running in this conversation' });
+  }
+
+  const userFiles = (req.files && req.files.user_attachments) || [];
+  const session = openGeneration(req, res);
+  const { writer, generation, turnId: newTurnId, streamId } = session;
+  generation.conversationId = id;
+  try {
+    writer.open();
+    writer.init(conversation, { turnId: newTurnId, streamId, editOf: turnId, parentId, routeSource: overrideRouteSource(routeOverride) });
+
+    // Memory is the branch up to the edited message's parent
+    const chunkGen = await streamAIResponse({
+      pb: req.pb,
+      conversationId: id,
+      prompt,
+      files: userFiles,
+      userInstruction: req.user?.instruction,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState,
     });
 
-    const normalizedTurns = turns.map((t) => ({
-      id: t.id,
-      user_text: t.user_text,
-      assistant_text: t.assistant_text,
-      user_attachments: t.user_attachments || [],
-      assistant_attachments: t.assistant_attachments || [],
-      created: t.created,
-      updated: t.updated,
-    }));
-
-    res.json({
-      conversation: {
-        id: conversation.id,
-        title: conversation.title,
-        created: conversation.created,
-        updated: conversation.updated,
-      },
-      turns: normalizedTurns,
+    const { assistantText, reasoningText, usage, routing, interrupted, error } = await writer.pipe(chunkGen);
+    if (error) {
+      writer.end();
+      return;
+    }
+
+    const turn = await createTurn(req, {
+      turnId: newTurnId,
+      conversationId: id,
+      prompt,
+      assistantText,
+      reasoningText,
+      files: userFiles,
+      assistantAttachments: extractAssistantAttachments(assistantText),
+      usage,
+      interrupted,
+      routing,
+      parentId,
     });
+    writer.final(formatChatResponse(conversation, turn));
+    writer.end();
+  } catch (err) {
+    writer.error(err);
+    writer.end();
+    next(err);
+  } finally {
+    session.close();
+  }
+}
+
+// regenerateTurn() - Re-run a turn's answer as a new variant (streamed like /api/chat/stream)
+export async function regenerateTurn(req, res, next) {
+  const { id, turnId } = req.params;
+  let routeOverride;
+  let conversation;
+  let routingState;
+  let turn;
+  let parentId;
+  try {
+    routeOverride = getRequestRouteOverride(req);
+    ({ conversation, routingState } = await getConversationForTurn(req, id));
+    turn = await getConversationTurn(req, id, turnId);
+    parentId = getParentId(await getConversationTurns(req, id), turn.id);
+  } catch (err) {
+    return next(err);
+  }
+  if (getActiveGeneration(id)) {
+    return res.status(409).json({ error: 'A generation is already running in this conversation' });
+  }
+
+  const session = openGeneration(req, res, { turnId: turn.id });
+  const { writer, generation, streamId } = session;
+  generation.conversationId = id;
+  try {
+    writer.open();
+    writer.init(conversation, { turnId: turn.id, streamId, regenerate: true, routeSource: overrideRouteSource(routeOverride) });
+
+    // Memory is the branch up to this turn's parent
+    const chunkGen = await streamAIResponse({
+      pb: req.pb,
+      conversationId: id,
+      prompt: turn.user_text,
+      files: await loadTurnUserFiles(turn),
+      userInstruction: req.user?.instruction,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState,
+    });
+
+    const { assistantText, reasoningText, usage, routing, interrupted, error } = await writer.pipe(chunkGen);
+    if (error) {
+      // Error event already sent; the turn keeps its current variants
+      writer.end();
+      return;
+    }
+
+    const updated = await addTurnVariant(req, { turn, assistantText, reasoningText, usage, interrupted, routing });
+    writer.final(formatChatResponse(conversation, updated));
+    writer.end();
+  } catch (err) {
+    writer.error(err);
+    writer.end();
+    next(err);
+  } finally {
+    session.close();
+  }
+}
+
+// selectVariant() - Choose which answer variant of a turn is active
+export async function selectVariant(req, res, next) {
+  try {
+    const { id, turnId } = req.params;
+    const { variant } = req.body || {};
+    if (variant === undefined || variant === null) {
+      return res.status(400).json({ error: 'variant required' });
+    }
+    const turn = await getConversationTurn(req, id, turnId);
+    const updated = await selectTurnVariant(req, { turn, index: variant });
+    const conversation = await getConversationMeta(req, id);
+    res.json(formatChatResponse(conversation, updated));
+  } catch (err) {
+    next(err);
+  }
+}
+
+// voteVariant() - Pick the better answer of a compare-mode turn ({ variant } or { model }); it becomes the active one
+export async function voteVariant(req, res, next) {
+  try {
+    const { id, turnId } = req.params;
+    const { variant, model } = req.body || {};
+    if ((variant === undefined || variant === null) && !model) {
+      return res.status(400).json({ error: 'variant or model required' });
+    }
+    const turn = await getConversationTurn(req, id, turnId);
+    const updated = await voteTurnVariant(req, { turn, variant, model });
+    const conversation = await getConversationMeta(req, id);
+    res.json(formatChatResponse(conversation, updated));
   } catch (err) {
     next(err);
   }
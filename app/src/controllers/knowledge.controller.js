@@ -0,0 +1,57 @@
+import {
+  listDocuments,
+  addDocuments,
+  deleteDocument,
+  reindexDocument,
+  reindexAllDocuments,
+} from '../services/knowledge.service.js';
+
+// listKnowledge() - The user's knowledge base documents, newest first
+export async function listKnowledge(req, res, next) {
+  try {
+    res.json({ documents: await listDocuments(req.pb, req.user.id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// uploadKnowledge() - Add text files (multipart `files`); each is chunked and embedded once
+export async function uploadKnowledge(req, res, next) {
+  try {
+    const files = (req.files && req.files.files) || [];
+    if (!files.length) {
+      return res.status(400).json({ error: 'files required' });
+    }
+    res.status(201).json({ documents: await addDocuments(req.pb, req.user.id, files) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// deleteKnowledge() - Remove a document and its chunks
+export async function deleteKnowledge(req, res, next) {
+  try {
+    await deleteDocument(req.pb, req.user.id, req.params.id);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// reindexKnowledge() - Embed one document again from its stored file
+export async function reindexKnowledge(req, res, next) {
+  try {
+    res.json({ document: await reindexDocument(req.pb, req.user.id, req.params.id) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// reindexAllKnowledge() - Embed every document of the user again
+export async function reindexAllKnowledge(req, res, next) {
+  try {
+    res.json({ documents: await reindexAllDocuments(req.pb, req.user.id) });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,191 @@
+import { streamAIResponse } from '../services/ai.service.js';
+import { createTurn, getActiveLeafId, generateRecordId, recordUserUsage } from '../services/chat.service.js';
+import { extractAssistantAttachments } from '../services/attachments.service.js';
+import { startGeneration, finishGeneration, InterruptReason } from '../services/generation.service.js';
+import { AIEventType, collectAIEvents } from '../utils/streamEvents.js';
+import { readRouteOverride, assertOverrideAllowed } from '../utils/routeOverride.js';
+import { routingStateOf } from '../utils/stickyRouting.js';
+import {
+  listModelsForUser,
+  resolveRequestedModel,
+  parseChatMessages,
+  completionId,
+  completionResponse,
+  completionChunk,
+  openAIError,
+} from '../utils/openaiFormat.js';
+import config from '../config/config.js';
+
+// Binds a /v1 request to a Thirra conversation (memory + persisted turns)
+export const CONVERSATION_HEADER = 'x-thirra-conversation-id';
+
+// getModels() - GET /v1/models
+export function getModels(req, res) {
+  res.json({ object: 'list', data: listModelsForUser(req.user) });
+}
+
+// getModel() - GET /v1/models/:model
+export function getModel(req, res, next) {
+  const model = listModelsForUser(req.user).find(m => m.id === req.params.model);
+  if (!model) {
+    const err = new Error(`The model '${req.params.model}' does not exist`);
+    err.status = 404;
+    err.code = 'model_not_found';
+    return next(err);
+  }
+  res.json(model);
+}
+
+// Conversation named by the binding header, or null (stateless request)
+async function getBoundConversation(req) {
+  const conversationId = req.headers[CONVERSATION_HEADER];
+  if (!conversationId) return null;
+  try {
+    return await req.pb.collection('conversations').getOne(conversationId);
+  } catch {
+    const err = new Error(`Conversation not found: ${conversationId}`);
+    err.status = 404;
+    throw err;
+  }
+}
+
+// chatCompletions() - POST /v1/chat/completions (SSE chunks when stream: true)
+export async function chatCompletions(req, res, next) {
+  const { model: requestedModel, messages, temperature, reasoning_effort: reasoningEffort, stream = false, stream_options: streamOptions } = req.body || {};
+
+  let routeOverride;
+  let parsed;
+  let conversation;
+  let parentId;
+  try {
+    // Picking a model, temperature or reasoning effort is an override like on /api/chat
+    routeOverride = readRouteOverride({ ...resolveRequestedModel(requestedModel), temperature, reasoningEffort });
+    assertOverrideAllowed(req.user, routeOverride);
+    parsed = parseChatMessages(messages);
+    conversation = await getBoundConversation(req);
+    parentId = conversation ? await getActiveLeafId(req, conversation.id) : undefined;
+  } catch (err) {
+    return next(err);
+  }
+
+  const turnId = generateRecordId();
+  const generation = startGeneration({ turnId, conversationId: conversation?.id || null, userId: req.user?.id });
+  // No resume on /v1: a disconnect stops the provider stream right away
+  res.on('close', () => {
+    if (!res.writableEnded) generation.abort(InterruptReason.CLIENT_DISCONNECTED);
+  });
+  res.setHeader('X-Thirra-Turn-Id', turnId);
+  if (conversation) res.setHeader('X-Thirra-Conversation-Id', conversation.id);
+
+  const id = completionId();
+  const created = Math.floor(Date.now() / 1000);
+  let model = requestedModel || null;
+  let keepAliveTimer = null;
+  const write = (data) => {
+    if (!res.writableEnded) res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const chunkGen = await streamAIResponse({
+      pb: req.pb,
+      conversationId: conversation?.id || null,
+      prompt: parsed.prompt,
+      userInstruction: [req.user?.instruction, parsed.instruction].filter(Boolean).join('\n\n') || null,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState: routingStateOf(conversation),
+      // Bound requests use Thirra memory; stateless ones use the transcript they sent
+      history: conversation ? null : parsed.history,
+    });
+
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders?.();
+      if (config.stream.keepAliveMs > 0) {
+        keepAliveTimer = setInterval(() => {
+          if (!res.writableEnded) res.write(': keep-alive\n\n');
+        }, config.stream.keepAliveMs);
+        keepAliveTimer.unref?.();
+      }
+    }
+
+    const outcome = await collectAIEvents(chunkGen, (event) => {
+      // Chunks carry the model that is actually answering
+      if (event.type === AIEventType.ROUTING) model = event.model;
+      if (event.type === AIEventType.MODEL_FALLBACK) model = event.to;
+      if (!stream) return;
+      switch (event.type) {
+        case AIEventType.ROUTING:
+          write(completionChunk({ id, created, model, delta: { role: 'assistant', content: '' } }));
+          break;
+        case AIEventType.REASONING_DELTA:
+          write(completionChunk({ id, created, model, delta: { reasoning: event.text } }));
+          break;
+        case AIEventType.TEXT_DELTA:
+          write(completionChunk({ id, created, model, delta: { content: event.text } }));
+          break;
+        case AIEventType.ERROR:
+          write(openAIError({ status: 502, message: event.message }));
+          break;
+      }
+    });
+    const { assistantText, reasoningText, usage, routing, interrupted, error } = outcome;
+
+    if (error) {
+      // Nothing to persist; streaming clients already got the error object
+      if (!stream) {
+        error.status = 502;
+        throw error;
+      }
+      write('[DONE]');
+      res.end();
+      return;
+    }
+
+    if (stream) {
+      write(completionChunk({ id, created, model, delta: {}, finishReason: 'stop' }));
+      if (streamOptions?.include_usage) {
+        write(completionChunk({ id, created, model, delta: null, usage }));
+      }
+    }
+
+    if (conversation) {
+      await createTurn(req, {
+        turnId,
+        conversationId: conversation.id,
+        prompt: parsed.prompt,
+        assistantText,
+        reasoningText,
+        assistantAttachments: extractAssistantAttachments(assistantText),
+        usage,
+        interrupted,
+        routing,
+        parentId,
+      });
+    } else {
+      await recordUserUsage(req, usage, routing);
+    }
+
+    if (stream) {
+      write('[DONE]');
+      res.end();
+      return;
+    }
+    res.json(completionResponse({ id, created, model, content: assistantText, usage }));
+  } catch (err) {
+    if (res.headersSent) {
+      write(openAIError(err));
+      write('[DONE]');
+      res.end();
+      return;
+    }
+    next(err);
+  } finally {
+    if (keepAliveTimer) clearInterval(keepAliveTimer);
+    finishGeneration(turnId);
+  }
+}
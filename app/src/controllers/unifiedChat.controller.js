@@ -1,35 +1,92 @@
-import { createConversation, createTurn, getConversationMeta } from '../services/chat.service.js';
+import {
+  createConversation,
+  createTurn,
+  saveCompareTurn,
+  getConversationForTurn,
+  getActiveLeafId,
+  updateConversationTitle,
+} from '../services/chat.service.js';
 import { isValidPrompt, formatChatResponse } from '../utils/chat.utils.js';
 import { extractAssistantAttachments } from '../services/attachments.service.js';
-import { streamAIResponse, generateTitle } from '../services/ai.service.js';
+import { openGeneration } from '../services/generation.service.js';
+import { streamAIResponse, streamCompareResponses, generateTitleWithUsage } from '../services/ai.service.js';
+import { getRequestRouteOverride, getRequestCompareModels, overrideRouteSource } from '../utils/routeOverride.js';
+import { RouteSource } from '../utils/queryRouter.js';
 
-// streamUnifiedChat() - Simplified streaming with title generation
-export async function streamUnifiedChat(req, res, next) {
+const PLACEHOLDER_TITLE = 'New Conversation';
+
+// Shared flow of /unified and /compatible; singleCall takes title and summary
+// from the answer's own output blocks instead of a separate title request.
+// Compare mode answers like /api/chat/stream: separate title call, plain answers.
+async function runUnifiedChat(req, res, next, { singleCall }) {
+  const { conversationId, prompt } = req.body || {};
+  if (!isValidPrompt(prompt)) {
+    res.status(400).json({ error: 'prompt required' });
+    return;
+  }
+  let routeOverride;
+  let compareModels;
   try {
-    const { conversationId, prompt } = req.body || {};
-    if (!isValidPrompt(prompt)) {
-      res.status(400).json({ error: 'prompt required' });
-      return;
-    }
+    routeOverride = getRequestRouteOverride(req);
+    compareModels = getRequestCompareModels(req, routeOverride);
+  } catch (err) {
+    return next(err);
+  }
+  // Every compared model would write its own title and summary blocks
+  const unifiedCall = singleCall && !compareModels;
 
-    res.setHeader('Content-Type', 'application/x-ndjson');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+  const session = openGeneration(req, res);
+  const { writer, generation, turnId, streamId } = session;
+  try {
+    writer.open();
 
     const userFiles = (req.files && req.files.user_attachments) || [];
     const isNew = !conversationId;
 
     let conversation;
+    let routingState = null;
+    // Title calls made for this turn, counted in its cost
+    const extraCalls = [];
+    const titleFor = async () => {
+      const { title, model, usage } = await generateTitleWithUsage(prompt);
+      extraCalls.push({ kind: 'title', model, usage });
+      return title;
+    };
     if (conversationId) {
-      conversation = await getConversationMeta(req, conversationId);
+      ({ conversation, routingState } = await getConversationForTurn(req, conversationId));
     } else {
-      // Generate title for new conversation
-      const title = await generateTitle(prompt);
+      // Single-call mode names the conversation once the title block arrives
+      const title = unifiedCall ? PLACEHOLDER_TITLE : await titleFor();
       const c = await createConversation(req, title);
       conversation = { id: c.id, title: c.title, created: c.created, updated: c.updated };
     }
+    generation.conversationId = conversation.id;
+    // New turns continue the conversation's active branch
+    const parentId = conversationId ? await getActiveLeafId(req, conversation.id) : null;
 
-    res.write(JSON.stringify({ type: 'init', conversation }) + '\n');
+    writer.init(conversation, compareModels
+      ? { turnId, streamId, routeSource: RouteSource.COMPARE, compare: compareModels }
+      : { turnId, streamId, routeSource: overrideRouteSource(routeOverride) });
+
+    if (compareModels) {
+      const compareGen = await streamCompareResponses({
+        pb: req.pb,
+        conversationId: conversation.id,
+        prompt,
+        files: userFiles,
+        userInstruction: req.user?.instruction,
+        signal: generation.signal,
+        historyLeafId: parentId,
+        routeOverride,
+        models: compareModels,
+      });
+      // Failed models already got their own error event
+      const results = await writer.pipeCompare(compareGen);
+      const turn = await saveCompareTurn(req, { turnId, conversation, prompt, files: userFiles, models: compareModels, results, parentId, extraCalls });
+      if (turn) writer.final(formatChatResponse(conversation, turn));
+      writer.end();
+      return;
+    }
 
     // Stream response
     const chunkGen = await streamAIResponse({
@@ -38,57 +95,62 @@ export async function streamUnifiedChat(req, res, next) {
       prompt,
       files: userFiles,
       userInstruction: req.user?.instruction,
+      signal: generation.signal,
+      historyLeafId: parentId,
+      routeOverride,
+      routingState,
+      unified: unifiedCall ? { needsTitle: isNew } : null,
     });
 
-    let assistantText = '';
-    for await (const chunk of chunkGen) {
-      // Handle reasoning phase markers
-      if (chunk === '___REASONING_START___') {
-        res.write(JSON.stringify({ type: 'reasoning', status: 'start', message: '🧠 Thinking...' }) + '\n');
-        continue;
-      }
-      if (chunk === '___REASONING_END___') {
-        res.write(JSON.stringify({ type: 'reasoning', status: 'complete', message: '✅ Analysis complete' }) + '\n');
-        continue;
-      }
-      
-      // Handle reasoning content (what model is thinking)
-      if (chunk.startsWith('___REASONING_CONTENT___')) {
-        const reasoningText = chunk.replace('___REASONING_CONTENT___', '').replace('___END_REASONING_CONTENT___', '');
-        res.write(JSON.stringify({ type: 'reasoning', status: 'thinking', content: reasoningText }) + '\n');
-        continue;
-      }
-      
-      // Regular content
-      assistantText += chunk;
-      res.write(JSON.stringify({ type: 'chunk', text: chunk }) + '\n');
+    const { assistantText, reasoningText, title, summary, usage, routing, interrupted, error } = await writer.pipe(chunkGen);
+    if (error) {
+      // Error event already sent to the client; nothing to persist
+      writer.end();
+      return;
+    }
+
+    if (unifiedCall && isNew) {
+      // Separate title call only if the model skipped the block and fallback parsing found none
+      const finalTitle = title || await titleFor();
+      conversation = (await updateConversationTitle(req, conversation.id, finalTitle)) || { ...conversation, title: finalTitle };
     }
 
-    const usage = chunkGen.getUsage?.() || {};
     const assistantAttachments = extractAssistantAttachments(assistantText);
 
     const turn = await createTurn(req, {
+      turnId,
       conversationId: conversation.id,
       prompt,
       assistantText,
+      reasoningText,
       files: userFiles,
       assistantAttachments,
       usage,
+      interrupted, // partial answer is kept, flagged with the reason
+      routing,
+      parentId,
+      summary, // from the summary block; null = summarized in the background
+      extraCalls,
     });
 
     const finalPayload = formatChatResponse(conversation, turn);
-    res.write(JSON.stringify({ type: 'final', data: finalPayload }) + '\n');
-    res.end();
+    writer.final(finalPayload);
+    writer.end();
   } catch (err) {
-    try {
-      res.write(JSON.stringify({ type: 'error', message: err?.message || 'stream failed' }) + '\n');
-    } catch {}
-    res.end();
+    writer.error(err);
+    writer.end();
     next(err);
+  } finally {
+    session.close();
   }
 }
 
-// streamChat() - Backward compatible endpoint (same as streamUnifiedChat)
+// streamUnifiedChat() - Title, summary and response from a single LLM call
+export async function streamUnifiedChat(req, res, next) {
+  return runUnifiedChat(req, res, next, { singleCall: true });
+}
+
+// streamChat() - Backward compatible endpoint (separate title generation, plain answer)
 export async function streamChat(req, res, next) {
-  return streamUnifiedChat(req, res, next);
+  return runUnifiedChat(req, res, next, { singleCall: false });
 }
\ No newline at end of file
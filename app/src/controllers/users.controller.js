@@ -8,9 +8,12 @@ export async function getMe(req, res, next) {
 
 export async function updateMe(req, res, next) {
   try {
-    const { name, instruction, email } = req.body || {};
-    if (typeof name === 'undefined' && typeof instruction === 'undefined' && typeof email === 'undefined') {
-      return res.status(400).json({ error: 'name or instruction required' });
+    const { name, instruction, email, save_reasoning: saveReasoning } = req.body || {};
+    if (typeof name === 'undefined' && typeof instruction === 'undefined' && typeof email === 'undefined' && typeof saveReasoning === 'undefined') {
+      return res.status(400).json({ error: 'name, instruction or save_reasoning required' });
+    }
+    if (typeof saveReasoning !== 'undefined' && typeof saveReasoning !== 'boolean') {
+      return res.status(400).json({ error: 'save_reasoning must be a boolean' });
     }
 
    
@@ -18,11 +21,13 @@ export async function updateMe(req, res, next) {
     const updatePayload = {};
     if (typeof name !== 'undefined') updatePayload.name = name;
     if (typeof instruction !== 'undefined') updatePayload.instruction = instruction;
+    // Store reasoning traces of future answers on their turns
+    if (typeof saveReasoning !== 'undefined') updatePayload.save_reasoning = saveReasoning;
 
 
     try {
       const record = await req.pb.collection('users').update(req.user.id, updatePayload);
-      return res.json({ id: record.id, email: record.email, name: record.name, instruction: record.instruction });
+      return res.json({ id: record.id, email: record.email, name: record.name, instruction: record.instruction, save_reasoning: !!record.save_reasoning });
     } catch (e) {
       return res.status(e?.status || 400).json({ error: e?.response?.message || e?.message || 'Failed to update user' });
     }
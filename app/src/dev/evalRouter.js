@@ -0,0 +1,234 @@
+/**
+ * Evaluate routing strategies on a labelled dataset
+ *
+ * Runs every query of a JSONL dataset through each routing strategy and
+ * reports accuracy, a confusion matrix, per-category precision/recall,
+ * latency and estimated cost as JSON, so router changes can be compared
+ * before shipping. Dataset lines use the fitCentroids.js format, plus
+ * optional context:
+ *   { "query": "...", "category": "coding", "history": [{ "role": "user", "content": "..." }], "files": ["main.py"] }
+ * where files are names or { "name", "mimetype", "size" } (metadata only, no content).
+ *
+ * Strategies:
+ *   classifier        - the LLM classifier alone (classifyQueryDetailed)
+ *   keyword_fallback  - the keyword fallback alone (fallbackClassification)
+ *   llm, keyword, embedding, hybrid - the full ROUTING_STRATEGY pipelines (decideCategory)
+ *
+ * Usage:
+ *   node app/src/dev/evalRouter.js app/src/dev/routerEval.sample.jsonl [--strategies=llm,keyword]
+ *     [--out=router-eval.json] [--prompt-tokens=1500] [--completion-tokens=500]
+ * The report is written to --out (default router-eval.json), so router logs
+ * and progress on the console stay out of it. routerEval.sample.jsonl is a
+ * small labelled set for the built-in table.
+ *
+ * Cost is estimated: the classifier's real token usage, an embedding of the
+ * query (~4 characters per token) and one answer of the assumed size on the
+ * routed model. `oracleAnswerCostUsd` is that answer on the labelled
+ * category's model. Building centroids from the table examples is not counted.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { HumanMessage, AIMessage } from "@langchain/core/messages";
+import {
+  classifyQueryDetailed,
+  fallbackClassification,
+  decideCategory,
+  selectModelForCategory,
+  RoutingStrategy,
+  ClassificationMethod,
+} from "../utils/queryRouter.js";
+import { loadRoutingTable } from "../utils/routingTable.js";
+import { describeAttachments } from "../utils/attachmentSignals.js";
+import { clearRouteCache } from "../utils/routeCache.js";
+import { computeCost, roundUsd } from "../utils/pricing.js";
+import config from "../config/config.js";
+
+const STRATEGIES = {
+  classifier: (query, history, files) => classifyQueryDetailed(query, history, { attachments: describeAttachments(files) }),
+  keyword_fallback: async (query, history, files) => ({ category: fallbackClassification(query, describeAttachments(files)), method: ClassificationMethod.KEYWORD }),
+  ...Object.fromEntries(Object.values(RoutingStrategy).map(strategy => [
+    strategy,
+    (query, history, files) => decideCategory(query, history, { files, strategy }),
+  ])),
+};
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] ?? true;
+    else positional.push(arg);
+  }
+  return { input: positional[0], options };
+}
+
+async function loadDataset(input, categories) {
+  const rows = [];
+  const lines = (await readFile(input, "utf-8")).split("\n");
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const row = JSON.parse(line);
+    if (!row.query || !categories.includes(row.category)) {
+      console.warn(`Line ${i + 1}: missing query or unknown category "${row.category}" - skipped`);
+      return;
+    }
+    rows.push({
+      query: String(row.query),
+      category: row.category,
+      history: (row.history || []).map(m => (m.role === "assistant" ? new AIMessage(m.content) : new HumanMessage(m.content))),
+      files: (row.files || []).map(f => (typeof f === "string" ? { originalname: f } : { originalname: f.name, mimetype: f.mimetype, size: f.size })),
+    });
+  });
+  return rows;
+}
+
+// USD spent deciding the category
+function routingCost(query, decision) {
+  if (decision.method === ClassificationMethod.EMBEDDING) {
+    return computeCost(config.openrouter.embedModel, { promptTokens: Math.ceil(query.length / 4) }) || 0;
+  }
+  return decision.classifierUsage ? computeCost(decision.classifierModel, decision.classifierUsage) || 0 : 0;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : null);
+
+/**
+ * Run one strategy over the dataset and score it
+ */
+async function evaluateStrategy(name, rows, categories, answerUsage) {
+  const run = STRATEGIES[name];
+  const confusion = Object.fromEntries(categories.map(e => [e, Object.fromEntries(categories.map(p => [p, 0]))]));
+  const methods = {};
+  const latencies = [];
+  let correct = 0;
+  let errors = 0;
+  let routingCostUsd = 0;
+  let answerCostUsd = 0;
+  let oracleAnswerCostUsd = 0;
+  const mistakes = [];
+
+  clearRouteCache();
+  for (const row of rows) {
+    const startTime = Date.now();
+    let decision;
+    try {
+      decision = await run(row.query, row.history, row.files);
+    } catch (error) {
+      errors++;
+      mistakes.push({ query: row.query, expected: row.category, predicted: null, error: error.message });
+      continue;
+    }
+    latencies.push(Date.now() - startTime);
+
+    const predicted = decision.category;
+    if (confusion[row.category][predicted] !== undefined) confusion[row.category][predicted]++;
+    if (predicted === row.category) correct++;
+    else mistakes.push({ query: row.query, expected: row.category, predicted, method: decision.method });
+    methods[decision.method] = (methods[decision.method] || 0) + 1;
+
+    routingCostUsd += routingCost(row.query, decision);
+    answerCostUsd += computeCost(selectModelForCategory(predicted).model, answerUsage) || 0;
+    oracleAnswerCostUsd += computeCost(selectModelForCategory(row.category).model, answerUsage) || 0;
+  }
+
+  const perCategory = Object.fromEntries(categories.map((category) => {
+    const truePositives = confusion[category][category];
+    const support = Object.values(confusion[category]).reduce((a, b) => a + b, 0);
+    const predictedCount = categories.reduce((sum, e) => sum + confusion[e][category], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    const f1 = precision && recall ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : 0;
+    return [category, { support, predicted: predictedCount, precision, recall, f1 }];
+  }));
+
+  const sorted = [...latencies].sort((a, b) => a - b);
+  return {
+    strategy: name,
+    total: rows.length,
+    correct,
+    errors,
+    accuracy: ratio(correct, rows.length),
+    methods,
+    latencyMs: {
+      mean: sorted.length ? Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      max: sorted.length ? sorted[sorted.length - 1] : null,
+    },
+    cost: {
+      routingCostUsd: roundUsd(routingCostUsd),
+      answerCostUsd: roundUsd(answerCostUsd),
+      oracleAnswerCostUsd: roundUsd(oracleAnswerCostUsd),
+      totalCostUsd: roundUsd(routingCostUsd + answerCostUsd),
+      perQueryUsd: rows.length ? roundUsd((routingCostUsd + answerCostUsd) / rows.length) : null,
+    },
+    perCategory,
+    confusion,
+    mistakes,
+  };
+}
+
+async function main() {
+  const { input, options } = parseArgs(process.argv.slice(2));
+  if (!input) {
+    console.error("Usage: node app/src/dev/evalRouter.js <dataset.jsonl> [--strategies=a,b] [--out=router-eval.json] [--prompt-tokens=N] [--completion-tokens=N]");
+    process.exit(1);
+  }
+
+  const names = typeof options.strategies === "string" ? options.strategies.split(",").map(s => s.trim()) : Object.keys(STRATEGIES);
+  const unknown = names.filter(n => !STRATEGIES[n]);
+  if (unknown.length) {
+    throw new Error(`Unknown strategies: ${unknown.join(", ")} (available: ${Object.keys(STRATEGIES).join(", ")})`);
+  }
+  const answerUsage = {
+    promptTokens: Number(options["prompt-tokens"] ?? 1500),
+    completionTokens: Number(options["completion-tokens"] ?? 500),
+  };
+
+  const table = await loadRoutingTable();
+  const categories = table.categories.map(c => c.name);
+  const rows = await loadDataset(input, categories);
+  if (!rows.length) throw new Error(`No usable rows in ${input}`);
+
+  const results = [];
+  for (const name of names) {
+    console.log(`Evaluating ${name} on ${rows.length} queries...`);
+    const result = await evaluateStrategy(name, rows, categories, answerUsage);
+    console.log(`  accuracy ${result.accuracy}, mean ${result.latencyMs.mean}ms, $${result.cost.totalCostUsd}`);
+    results.push(result);
+  }
+
+  const report = {
+    dataset: input,
+    size: rows.length,
+    evaluatedAt: new Date().toISOString(),
+    routingTable: table.source,
+    categories,
+    models: {
+      classifier: config.openrouter.models.classifier,
+      embed: config.openrouter.embedModel,
+      byCategory: Object.fromEntries(categories.map(c => [c, selectModelForCategory(c).model])),
+    },
+    settings: {
+      heuristics: config.routing.heuristics,
+      embeddingMinMargin: config.routing.embedding.minMargin,
+      answerUsage,
+    },
+    results,
+  };
+
+  const out = typeof options.out === "string" ? options.out : "router-eval.json";
+  await writeFile(out, JSON.stringify(report, null, 2));
+  console.log(`✅ Wrote ${out}`);
+}
+
+main().catch((e) => {
+  console.error("❌", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Fit routing centroids offline
+ *
+ * Embeds labelled queries and writes the per-category centroids used by the
+ * embedding routing strategy (utils/embeddingRouter.js). Input is JSONL, one
+ * { "query": "...", "category": "..." } per line, e.g. the routing table
+ * examples plus queries exported from thumbs-up turns. The routing table's
+ * own `examples` are included unless --no-examples is given.
+ *
+ * Usage:
+ *   node app/src/dev/fitCentroids.js labelled.jsonl centroids.json [--no-examples]
+ * Then set ROUTING_CENTROIDS=centroids.json.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fitCentroids } from "../utils/embeddingRouter.js";
+import { loadRoutingTable } from "../utils/routingTable.js";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [input, output] = args.filter(a => !a.startsWith("--"));
+  if (!output) {
+    console.error("Usage: node app/src/dev/fitCentroids.js <labelled.jsonl> <centroids.json> [--no-examples]");
+    process.exit(1);
+  }
+
+  const table = await loadRoutingTable();
+  const names = new Set(table.categories.map(c => c.name));
+
+  const labelled = [];
+  const lines = (await readFile(input, "utf-8")).split("\n");
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const row = JSON.parse(line);
+    if (!names.has(row.category)) {
+      console.warn(`Line ${i + 1}: unknown category "${row.category}" - skipped`);
+      return;
+    }
+    labelled.push({ query: String(row.query || ""), category: row.category });
+  });
+  if (!args.includes("--no-examples")) {
+    for (const c of table.categories) {
+      labelled.push(...c.examples.map(query => ({ query, category: c.name })));
+    }
+  }
+
+  console.log(`Embedding ${labelled.length} labelled queries...`);
+  const fitted = await fitCentroids(labelled);
+  await writeFile(output, JSON.stringify({ ...fitted, fittedAt: new Date().toISOString() }));
+
+  for (const [name, { count }] of Object.entries(fitted.categories)) {
+    console.log(`  ${name}: ${count} queries`);
+  }
+  const missing = [...names].filter(n => !fitted.categories[n]);
+  if (missing.length) console.warn(`No data for: ${missing.join(", ")} (never routed to by the embedding strategy)`);
+  console.log(`✅ Wrote ${output} (${fitted.embedModel})`);
+}
+
+main().catch((e) => {
+  console.error("❌", e.message);
+  process.exit(1);
+});
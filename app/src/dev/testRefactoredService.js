@@ -4,6 +4,7 @@
  */
 
 import { streamAIResponse, generateTitle } from '../services/ai.service.js';
+import { AIEventType } from '../utils/streamEvents.js';
 import PocketBase from 'pocketbase';
 import config from '../config/config.js';
 
@@ -41,9 +42,15 @@ async function runTest() {
     });
 
     let fullText = '';
-    for await (const chunk of gen) {
-      fullText += chunk;
-      process.stdout.write(chunk);
+    for await (const event of gen) {
+      if (event.type === AIEventType.ROUTING) {
+        console.log(`[routing] ${event.category} -> ${event.model}`);
+      } else if (event.type === AIEventType.TEXT_DELTA) {
+        fullText += event.text;
+        process.stdout.write(event.text);
+      } else if (event.type === AIEventType.ERROR) {
+        throw new Error(event.message);
+      }
     }
 
     console.log('\n\n✅ Response complete!\n');
@@ -7,6 +7,7 @@
 
 import { routeQuery, QueryCategory, estimateCostSavings } from "../utils/queryRouter.js";
 import { HumanMessage, AIMessage } from "@langchain/core/messages";
+import { scoreQuery } from "../utils/routeHeuristics.js";
 
 // Test queries covering all categories
 const testQueries = [
@@ -65,7 +66,27 @@ const testQueries = [
   },
 ];
 
+// Keyword hits of the local heuristics (no model call)
+const keywordChecks = [
+  { query: "explain javascript closures", expected: 'keywords:coding=javascript' },
+  { query: "My APIs keep returning errors", expected: 'keywords:coding=error,api' },
+  { query: "I'm debugging a classic car radio", expected: 'keywords:coding=debug' },
+];
+
+function checkKeywords() {
+  console.log('\n🔑 Heuristic keyword matching\n');
+  let failed = 0;
+  for (const { query, expected } of keywordChecks) {
+    const signal = scoreQuery(query).signals.find(s => s.startsWith('keywords:coding')) || 'none';
+    if (signal !== expected) failed++;
+    console.log(`   ${signal === expected ? '✅' : '❌'} "${query}" -> ${signal} (expected ${expected})`);
+  }
+  return failed;
+}
+
 async function runTests() {
+  if (checkKeywords()) process.exitCode = 1;
+
   console.log('\n🔀 Testing Intelligent Routing System\n');
   console.log('='.repeat(80));
   
@@ -104,9 +125,9 @@ async function runTests() {
       console.log(`   Time: ${elapsed}ms (routing: ${routingTime}ms)`);
       
       // Show cost savings estimate
-      const tokenEstimate = 2000; // Assume 2k tokens for example
-      const savings = estimateCostSavings(category, tokenEstimate);
-      console.log(`   Cost (2k tokens): ${savings.actualPrice} vs ${savings.baselinePrice} (save ${savings.savingsPercent})`);
+      const tokenEstimate = { promptTokens: 1500, completionTokens: 500 }; // Assume 2k tokens for example
+      const savings = estimateCostSavings(category, tokenEstimate, model);
+      console.log(`   Cost (2k tokens): $${savings.actualPrice} vs $${savings.baselinePrice} on ${savings.baselineModel} (save ${savings.savingsPercent}%)`);
       
     } catch (error) {
       console.error(`   ❌ Error:`, error.message);
@@ -3,17 +3,13 @@
  * 
  * Caches:
  * - Conversation turns (avoid 3× DB calls)
- * - Summaries (avoid regenerating every turn)
+ * Long-term summaries are stored on the turns themselves (services/turnSummary.service.js).
  */
 
 // Turn cache: conversationId -> { turns, timestamp }
 const turnsCache = new Map();
 const TURNS_CACHE_TTL = 30000; // 30 seconds
 
-// Summary cache: conversationId -> { summary, turnCount, timestamp }
-const summaryCache = new Map();
-const SUMMARY_CACHE_TTL = 120000; // 2 minutes
-
 /**
  * Get cached turns or fetch from database
  */
@@ -43,39 +39,11 @@ export async function getCachedTurns(pb, conversationId) {
   return turns;
 }
 
-/**
- * Get cached summary or generate new one
- */
-export async function getCachedSummary(conversationId, currentTurnCount, generateFn) {
-  if (!conversationId || currentTurnCount <= 5) return null;
-  
-  const cached = summaryCache.get(conversationId);
-  
-  // Return cached if turn count hasn't changed much
-  if (cached && Math.abs(cached.turnCount - currentTurnCount) < 2) {
-    return cached.summary;
-  }
-  
-  // Generate new summary
-  const summary = await generateFn();
-  
-  if (summary) {
-    summaryCache.set(conversationId, {
-      summary,
-      turnCount: currentTurnCount,
-      timestamp: Date.now(),
-    });
-  }
-  
-  return summary;
-}
-
 /**
  * Invalidate cache when new turn is added
  */
 export function invalidateTurnCache(conversationId) {
   turnsCache.delete(conversationId);
-  // Note: We keep summary cache - it's still valid for 1-2 new turns
 }
 
 /**
@@ -83,7 +51,6 @@ export function invalidateTurnCache(conversationId) {
  */
 export function clearAllCaches() {
   turnsCache.clear();
-  summaryCache.clear();
 }
 
 /**
@@ -99,14 +66,6 @@ export function getCacheStats() {
         age: Date.now() - data.timestamp,
       })),
     },
-    summaries: {
-      size: summaryCache.size,
-      entries: Array.from(summaryCache.entries()).map(([id, data]) => ({
-        conversationId: id,
-        turnCount: data.turnCount,
-        age: Date.now() - data.timestamp,
-      })),
-    },
   };
 }
 
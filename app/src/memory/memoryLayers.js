@@ -1,10 +1,35 @@
 import { AIMessage, HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
-import { summarizeMessages, RECENT_MESSAGE_COUNT, SUMMARY_CAP_CHARS } from "../utils/summary.js";
+import { RECENT_MESSAGE_COUNT, SUMMARY_CAP_CHARS } from "../utils/summary.js";
 import { getEmbeddingsClient } from "../utils/embeddingsClient.js";
 import { ensureIndexedForConversation, retrieveContextsWithScores } from "../utils/rag.js";
-import { getCachedTurns, getCachedSummary } from "./cache.js";
-import config from "../config/config.js";
+import { getCachedTurns } from "./cache.js";
+import { getPathToTurn, resolveActiveLeaf } from "../utils/turnTree.js";
+import { queueTurnSummary } from "../services/turnSummary.service.js";
+import { retrieveKnowledge } from "../services/knowledge.service.js";
+
+// Per-side excerpt for turns whose summary is not stored yet
+const EXCERPT_CHARS = 160;
+
+function excerpt(text) {
+  return String(text || "").replace(/\s+/g, " ").trim().slice(0, EXCERPT_CHARS);
+}
+
+/**
+ * Turns on the conversation's active branch: root → leafId.
+ * leafId undefined = the conversation's active leaf; null = no history (new branch root).
+ * Returns { turns (all), path, leafId }
+ */
+export async function getActivePathTurns({ pb, conversationId, leafId = undefined }) {
+  const turns = await getCachedTurns(pb, conversationId);
+  if (leafId === undefined) {
+    let stored = null;
+    try {
+      stored = (await pb.collection("conversations").getOne(conversationId))?.active_leaf || null;
+    } catch (_) {}
+    leafId = resolveActiveLeaf(turns, stored);
+  }
+  return { turns, path: getPathToTurn(turns, leafId), leafId };
+}
 
 /**
  * Short-term memory: last k messages.
@@ -14,8 +39,8 @@ import config from "../config/config.js";
 export async function getShortTermMemory({ pb, conversationId, k = RECENT_MESSAGE_COUNT, cachedTurns = null }) {
   if (!conversationId) return [];
   
-  // Use cached turns if provided, otherwise fetch
-  const turns = cachedTurns || await getCachedTurns(pb, conversationId);
+  // Use cached turns if provided, otherwise fetch the active branch
+  const turns = cachedTurns || (await getActivePathTurns({ pb, conversationId })).path;
   
   const msgs = [];
   for (const t of turns) {
@@ -26,89 +51,89 @@ export async function getShortTermMemory({ pb, conversationId, k = RECENT_MESSAG
 }
 
 /**
- * Long-term summarized memory using a lightweight model.
- * Token cost: one summarization pass per new chunk; summary cached and reused.
- * Uses cached turns and cached summaries to avoid redundant work.
+ * Long-term memory assembled from the per-turn summaries stored on each turn
+ * (services/turnSummary.service.js), oldest first, for turns older than the
+ * short-term window. No LLM call: a turn still missing its summary contributes
+ * a clipped excerpt and is queued for background summarization.
  */
-export async function getLongTermSummary({ pb, conversationId, instruction, cachedTurns = null }) {
+export async function getLongTermSummary({ pb, conversationId, cachedTurns = null }) {
   if (!conversationId) return null;
   
-  // Use cached turns if provided, otherwise fetch
-  const turns = cachedTurns || await getCachedTurns(pb, conversationId);
-  
-  const msgs = [];
-  for (const t of turns) {
-    if (t.user_text) msgs.push(new HumanMessage(String(t.user_text)));
-    if (t.assistant_text) msgs.push(new AIMessage(String(t.assistant_text)));
-  }
+  // Use cached turns if provided, otherwise fetch the active branch
+  const turns = cachedTurns || (await getActivePathTurns({ pb, conversationId })).path;
   
-  if (msgs.length <= RECENT_MESSAGE_COUNT) return null;
+  // Short-term memory covers the last RECENT_MESSAGE_COUNT messages (two per turn)
+  const older = turns.slice(0, Math.max(0, turns.length - Math.ceil(RECENT_MESSAGE_COUNT / 2)));
+  if (older.length === 0) return null;
   
-  // Try to get cached summary
-  const turnCount = turns.length;
-  const cachedSummary = await getCachedSummary(conversationId, turnCount, async () => {
-    // Generate new summary only if not cached
-    const { apiKey, baseUrl, models } = config.openrouter;
-    const llm = new ChatOpenAI({
-      apiKey,
-      model: models.lightweight,
-      configuration: {
-        baseURL: baseUrl,
-        defaultHeaders: {
-          "HTTP-Referer": config.appBaseUrl,
-          "X-Title": "Thirra AI",
-        },
-      },
-    });
-    
-    const older = msgs.slice(0, msgs.length - RECENT_MESSAGE_COUNT);
-    const summary = await summarizeMessages({ 
-      model: llm, 
-      instruction, 
-      messagesToSummarize: older, 
-      existingSummary: "" 
-    });
-    const trimmed = String(summary || "").replace(/\s+/g, " ").trim().slice(0, SUMMARY_CAP_CHARS);
-    return trimmed || null;
+  const lines = older.map((t) => {
+    if (t.summary) return `- ${t.summary}`;
+    queueTurnSummary(pb, t.id, Number(t.active_variant ?? 0) || 0);
+    return `- User: ${excerpt(t.user_text)} / Assistant: ${excerpt(t.assistant_text)}`;
   });
   
-  if (!cachedSummary) return null;
-  return new SystemMessage(`Earlier conversation summary (compact):\n${cachedSummary}`);
+  // Keep the most recent lines within the cap
+  const kept = [];
+  let size = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (SUMMARY_CAP_CHARS && size + lines[i].length + 1 > SUMMARY_CAP_CHARS && kept.length) break;
+    kept.unshift(lines[i]);
+    size += lines[i].length + 1;
+  }
+  
+  return new SystemMessage(`Earlier conversation summary (compact):\n${kept.join("\n")}`);
 }
 
 /**
  * Semantic recall with threshold (compression removed - Token Budget handles it)
  * - Computes similarity scores and applies threshold > 0.8 * max(sim).
+ * - Adds chunks of the user's knowledge base (services/knowledge.service.js),
+ *   reusing the query embedding; each names the document it came from.
  * Token cost: retrieval embeddings only
  */
-export async function getSemanticContext({ pb, conversationId, query, instruction, kDynamic = 2, thresholdFactor = 0.8 }) {
+export async function getSemanticContext({ pb, conversationId, query, instruction, kDynamic = 2, thresholdFactor = 0.8, turns = null, turnIds = null }) {
   const embeddings = getEmbeddingsClient();
-  await ensureIndexedForConversation({ pb, conversationId, embeddings, files: [] });
-  const { chunks, maxSim } = await retrieveContextsWithScores({ conversationId, query, embeddings, topK: Math.max(1, kDynamic) });
+  await ensureIndexedForConversation({ pb, conversationId, embeddings, files: [], turns });
+  const { chunks, maxSim, queryVector } = await retrieveContextsWithScores({ conversationId, query, embeddings, topK: Math.max(1, kDynamic), turnIds });
   const cutoff = maxSim * thresholdFactor;
   const filtered = chunks.filter(c => c.sim >= cutoff);
+  const knowledge = await retrieveKnowledge({ pb, ownerId: pb?.authStore?.record?.id, query, queryVector });
+  const stats = { maxSim, cutoff, selected: filtered.length, knowledge: knowledge.length };
   
-  if (filtered.length === 0) {
-    return { contextText: "", stats: { maxSim, cutoff, selected: 0 }, items: [] };
+  if (filtered.length === 0 && knowledge.length === 0) {
+    return { contextText: "", stats, items: [] };
   }
 
   // No compression - Token Budget handles it more efficiently
-  const items = filtered.map((chunk) => ({ 
-    text: chunk.text, 
-    sim: chunk.sim 
-  }));
-  const contextText = items.map((x) => `- ${x.text}`).join("\n");
+  const items = [
+    ...filtered.map((chunk) => ({ 
+      text: chunk.text, 
+      sim: chunk.sim 
+    })),
+    ...knowledge.map((chunk) => ({
+      text: chunk.text,
+      sim: chunk.sim,
+      documentId: chunk.documentId,
+      documentName: chunk.documentName,
+    })),
+  ];
+  const contextText = items
+    .map((x) => (x.documentName ? `- [From "${x.documentName}"] ${x.text}` : `- ${x.text}`))
+    .join("\n");
   
-  return { contextText, stats: { maxSim, cutoff, selected: filtered.length }, items };
+  return { contextText, stats, items };
 }
 
 /**
  * Combined memory builder - Optimized with single DB call
  * Returns { historyMsgs, contextText, metrics } for use in prompting.
+ * Only the branch root → historyLeafId is remembered (default: the active leaf;
+ * null for a new branch root; the turn's parent when regenerating or editing).
  */
-export async function buildCombinedMemory({ pb, conversationId, query, instruction }) {
+export async function buildCombinedMemory({ pb, conversationId, query, instruction, historyLeafId = undefined }) {
   // Fetch turns ONCE and reuse for all layers
-  const turns = await getCachedTurns(pb, conversationId);
+  const { path: turns } = await getActivePathTurns({ pb, conversationId, leafId: historyLeafId });
+  const turnIds = new Set(turns.map(t => t.id));
   
   // Short-term (pass cached turns)
   const short = await getShortTermMemory({ 
@@ -118,12 +143,11 @@ export async function buildCombinedMemory({ pb, conversationId, query, instructi
     cachedTurns: turns 
   });
   
-  // Long-term summary (pass cached turns)
+  // Long-term summary from stored turn summaries (pass cached turns)
   const summaryMsg = await getLongTermSummary({ 
     pb, 
     conversationId, 
-    instruction, 
-    cachedTurns: turns 
+    cachedTurns: turns,
   });
   
   const historyMsgs = summaryMsg ? [summaryMsg, ...short] : short;
@@ -136,7 +160,9 @@ export async function buildCombinedMemory({ pb, conversationId, query, instructi
     conversationId, 
     query, 
     instruction, 
-    kDynamic 
+    kDynamic,
+    turns, // index only the active branch
+    turnIds,
   });
 
   const metrics = { 
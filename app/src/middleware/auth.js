@@ -34,4 +34,14 @@ export async function requireAuth(req, res, next) {
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired session' });
   }
-}
\ No newline at end of file
+}
+
+// Use after requireAuth: only users whose `role` is one of `roles`
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
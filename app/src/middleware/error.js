@@ -1,5 +1,13 @@
+import { openAIError } from '../utils/openaiFormat.js';
+
 export default function errorHandler(err, req, res, next) {
   console.error(err);
   const status = err.status || 500;
   res.status(status).json({ error: err.message || 'Server error' });
-}
\ No newline at end of file
+}
+
+// /v1 routes answer errors in the OpenAI shape ({ error: { message, type, code } })
+export function openAIErrorHandler(err, req, res, next) {
+  console.error(err);
+  res.status(err.status || 500).json(openAIError(err));
+}
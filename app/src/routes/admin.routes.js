@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { getRouting, reloadRouting } from '../controllers/admin.controller.js';
+
+const router = Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+// Routing table (ROUTING_CONFIG): inspect and hot-reload
+router.get('/routing', getRouting);
+router.post('/routing/reload', reloadRouting);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { getRouting, getVotes } from '../controllers/analytics.controller.js';
+
+const router = Router();
+
+router.use(requireAuth);
+
+// Routing decisions stored on turns: distribution, latency, fallback rates
+router.get('/routing', getRouting);
+
+// Compare-mode votes per category: which models win against the configured one
+router.get('/votes', getVotes);
+
+export default router;
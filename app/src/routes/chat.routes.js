@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import multer from 'multer';
 import { requireAuth } from '../middleware/auth.js';
-import {streamChat } from '../controllers/chat.controller.js';
+import { streamChat, completeChat, resumeStream, stopChat } from '../controllers/chat.controller.js';
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -11,4 +11,13 @@ router.use(requireAuth);
 // Streaming endpoint (NDJSON)
 router.post('/stream', upload.fields([{ name: 'user_attachments', maxCount: 10 }]), streamChat);
 
+// Blocking endpoint: same pipeline, one JSON response (times out after CHAT_COMPLETE_TIMEOUT_MS)
+router.post('/complete', upload.fields([{ name: 'user_attachments', maxCount: 10 }]), completeChat);
+
+// Resume a dropped stream: replay events after ?after=<eventIndex>, then tail until final
+router.get('/stream/:streamId', resumeStream);
+
+// Stop a running generation; the partial answer is saved as an interrupted turn
+router.post('/:turnId/stop', stopChat);
+
 export default router;
\ No newline at end of file
@@ -1,15 +1,33 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { requireAuth } from '../middleware/auth.js';
 import {
   listConverstations,
   Conversationdetails,
+  regenerateTurn,
+  selectVariant,
+  voteVariant,
+  editTurn,
+  switchBranch,
 } from '../controllers/conversations.controller.js';
 
 const router = Router();
+const upload = multer({ storage: multer.memoryStorage() });
 
 router.use(requireAuth);
 
 router.get('/', listConverstations);
 router.get('/:id', Conversationdetails);
 
+// Answer variants: regenerate (streams like /api/chat/stream) and pick the active one
+router.post('/:id/turns/:turnId/regenerate', regenerateTurn);
+router.put('/:id/turns/:turnId/active-variant', selectVariant);
+
+// Compare mode: vote for the better answer (stored per category in model_votes)
+router.post('/:id/turns/:turnId/vote', voteVariant);
+
+// Branching: edit a past user message into a sibling branch, or switch branches
+router.post('/:id/turns/:turnId/edit', upload.fields([{ name: 'user_attachments', maxCount: 10 }]), editTurn);
+router.put('/:id/active-leaf', switchBranch);
+
 export default router;
\ No newline at end of file
@@ -4,6 +4,9 @@ import usersRoutes from './users.routes.js';
 import conversationsRoutes from './conversations.routes.js';
 import chatRoutes from './chat.routes.js';
 import unifiedChatRoutes from './unifiedChat.routes.js';
+import adminRoutes from './admin.routes.js';
+import analyticsRoutes from './analytics.routes.js';
+import knowledgeRoutes from './knowledge.routes.js';
 
 const router = Router();
 
@@ -12,5 +15,8 @@ router.use('/users', usersRoutes);
 router.use('/conversations', conversationsRoutes);
 router.use('/chat', chatRoutes);
 router.use('/unified-chat', unifiedChatRoutes);
+router.use('/admin', adminRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/knowledge', knowledgeRoutes);
 
 export default router;
\ No newline at end of file
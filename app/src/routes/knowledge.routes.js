@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import multer from 'multer';
+import config from '../config/config.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  listKnowledge,
+  uploadKnowledge,
+  deleteKnowledge,
+  reindexKnowledge,
+  reindexAllKnowledge,
+} from '../controllers/knowledge.controller.js';
+
+const router = Router();
+const MAX_FILES = 10;
+const { maxFileBytes } = config.knowledge;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Stop oversized uploads while they stream in, before they are buffered whole
+  limits: { files: MAX_FILES, ...(maxFileBytes ? { fileSize: maxFileBytes } : {}) },
+}).fields([{ name: 'files', maxCount: MAX_FILES }]);
+
+// Upload errors answer 413 (file too large) or 400 instead of 500
+function uploadFiles(req, res, next) {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      if (err.code === 'LIMIT_FILE_SIZE') err.message = `A file is larger than ${maxFileBytes} bytes`;
+    }
+    next(err);
+  });
+}
+
+router.use(requireAuth);
+
+// Knowledge base documents, shared by all of the user's conversations
+router.get('/', listKnowledge);
+router.post('/', uploadFiles, uploadKnowledge);
+router.delete('/:id', deleteKnowledge);
+
+// Re-index (e.g. after EMBED_MODEL changed; stale documents are also re-indexed on first use)
+router.post('/reindex', reindexAllKnowledge);
+router.post('/:id/reindex', reindexKnowledge);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { openAIErrorHandler } from '../middleware/error.js';
+import { getModels, getModel, chatCompletions } from '../controllers/openai.controller.js';
+
+// OpenAI-compatible API, mounted at /v1 (Bearer token = PocketBase auth token)
+const router = Router();
+
+router.use(requireAuth);
+
+router.get('/models', getModels);
+router.get('/models/:model', getModel);
+
+// Chat Completions; `model: "thirra/auto"` routes, X-Thirra-Conversation-Id binds a conversation
+router.post('/chat/completions', chatCompletions);
+
+router.use(openAIErrorHandler);
+
+export default router;
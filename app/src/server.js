@@ -3,10 +3,12 @@ import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
 import router from './routes/index.js';
+import openaiRoutes from './routes/openai.routes.js';
 import errorHandler from './middleware/error.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config/config.js';
+import { loadRoutingTable } from './utils/routingTable.js';
 
 const app = express();
 
@@ -33,6 +35,9 @@ app.get('/health', (req, res) => {
 
 app.use('/api', router);
 
+// OpenAI-compatible facade (/v1/chat/completions, /v1/models)
+app.use('/v1', openaiRoutes);
+
 // Static frontend
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -44,6 +49,17 @@ if (config.nodeEnv !== 'production') {
 
 app.use(errorHandler);
 
+// Routing table is validated before accepting requests; SIGHUP reloads it
+try {
+  await loadRoutingTable();
+} catch (err) {
+  console.error(`[Routing] ${err.message}`);
+  process.exit(1);
+}
+process.on('SIGHUP', () => {
+  loadRoutingTable().catch((err) => console.error(`[Routing] Reload failed, keeping previous table: ${err.message}`));
+});
+
 const PORT = config.port;
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
@@ -12,15 +12,27 @@ import { buildCombinedMemory } from "../memory/memoryLayers.js";
 import { extractAssignments } from "../utils/extractFacts.js";
 import { upsertFacts, getFactsText } from "../memory/facts.store.js";
 import { getCostOptimizedHistory, logTokenUsage } from "../utils/tokenBudget.js";
-import { routeQuery, estimateCostSavings } from "../utils/queryRouter.js";
+import { buildUnifiedSystemPrompt, createUnifiedStreamParser } from "../utils/unifiedOutput.js";
+import { routeQuery, resolveRouteOverride, estimateCostSavings, RouteSource } from "../utils/queryRouter.js";
+import { applyStickyRouting, getRoutingState } from "../utils/stickyRouting.js";
+import { aiEvent, interleaveAIEvents } from "../utils/streamEvents.js";
+import { buildModelChain, isRetryableError, describeFailure, nextAttempt, backoff } from "../utils/modelFallback.js";
+import { resolveReasoningEffort, appliedReasoning, reasoningParams, isReasoningModel } from "../utils/reasoningEffort.js";
+import { getInterruptReason } from "./generation.service.js";
 import config from "../config/config.js";
 
+const DEFAULT_TEMPERATURE = 0.7;
+
 /**
  * Build system prompt with context and facts
  */
-function buildSystemPrompt({ userInstruction, contextText, factsText }) {
+function buildSystemPrompt({ userInstruction, contextText, factsText, categoryPrompt = null }) {
   let prompt = "You are a helpful AI assistant. ";
   
+  if (categoryPrompt) {
+    prompt += categoryPrompt + "\n\n";
+  }
+  
   if (contextText) {
     prompt += "Use this context if relevant:\n" + contextText + "\n\n";
   }
@@ -76,6 +88,24 @@ function processAttachments(files = []) {
 
 /**
  * Stream AI response with memory and RAG
+ * Yields typed events (see utils/streamEvents.js): routing, model_fallback, reasoning_*, text_delta, usage, interrupted, error
+ * Aborting `signal` stops the provider stream and ends with an `interrupted` event.
+ * `historyLeafId` is the last turn memory should see (default: the active branch
+ * leaf; see buildCombinedMemory); `routeOverride` ({ model, category, temperature }, checked
+ * by utils/routeOverride.js) skips the router when it names a model or category.
+ * `history` (LangChain messages) replaces stored memory for callers that send
+ * their own transcript, e.g. the OpenAI-compatible API without a conversation.
+ * `unified` ({ needsTitle }) asks for title/summary/response blocks in the same
+ * call: `title` and `summary` events are emitted as their blocks close and only
+ * the response block is streamed as text.
+ * Provider failures before the first chunk are retried and then fall back
+ * through the category's fallbackModels (utils/modelFallback.js); each switch
+ * yields a `model_fallback` event naming the model that answers instead.
+ * Routed turns of a conversation stick to its last category (utils/stickyRouting.js);
+ * `routingState` is the loaded conversation's routing_state (read here when undefined).
+ * The state itself is advanced by createTurn() once the turn is saved.
+ * `memory` ({ historyMsgs, contextText }) and `route` (a routeQuery()-shaped decision)
+ * let streamCompareResponses() share one memory build and routing decision between models.
  */
 export async function streamAIResponse({
   pb,
@@ -83,16 +113,27 @@ export async function streamAIResponse({
   prompt,
   files = [],
   userInstruction = null,
+  signal = null,
+  historyLeafId = undefined,
+  routeOverride = null,
+  history = null,
+  unified = null,
+  routingState = undefined,
+  memory = null,
+  route: presetRoute = null,
 }) {
   const { apiKey, baseUrl } = config.openrouter;
   
   // Build memory (short-term + summary + semantic RAG)
-  const { historyMsgs, contextText } = await buildCombinedMemory({
-    pb,
-    conversationId,
-    query: prompt,
-    instruction: userInstruction,
-  });
+  const { historyMsgs, contextText } = memory || (Array.isArray(history)
+    ? { historyMsgs: history, contextText: '' }
+    : await buildCombinedMemory({
+      pb,
+      conversationId,
+      query: prompt,
+      instruction: userInstruction,
+      historyLeafId,
+    }));
   
   // Apply cost optimization to history
   const maxHistoryTokens = config.prompt.maxHistoryTokens || 2000;
@@ -101,9 +142,27 @@ export async function streamAIResponse({
   logTokenUsage('Before optimization', historyMsgs);
   logTokenUsage('After optimization', optimizedHistory);
   
-  // 🔀 INTELLIGENT ROUTING: Select optimal model based on query
-  const { model, category, reasoning } = await routeQuery(prompt, optimizedHistory);
-  console.log(`[Router] Selected ${model} for ${category} task: ${reasoning}`);
+  // 🔀 INTELLIGENT ROUTING: Select optimal model based on query (unless the caller picked one)
+  const hasOverride = !!(routeOverride?.model || routeOverride?.category);
+  let route = presetRoute || (hasOverride
+    ? resolveRouteOverride(routeOverride)
+    : await routeQuery(prompt, optimizedHistory, { files, signal }));
+  if (!presetRoute && !hasOverride && conversationId && config.routing.sticky.enabled) {
+    route = applyStickyRouting(route, routingState === undefined ? await getRoutingState(pb, conversationId) : routingState);
+    const { decision, classifiedCategory, pendingCount, switchAfter, reason } = route.sticky;
+    console.log(`[Router] Sticky ${decision}: classified ${classifiedCategory}, using ${route.category}${reason ? ` (${reason}, ${pendingCount}/${switchAfter})` : ''}`);
+  }
+  const { model, category, reasoning, routingTime, source, method, confidence, classifierModel, classifierLatency, classifierUsage, attachments = null, attachmentSignal = null, sticky = null } = route;
+  // Per-request temperature wins over the category's (routing table)
+  const temperature = routeOverride?.temperature ?? route.temperature ?? DEFAULT_TEMPERATURE;
+  const maxTokens = route.maxTokens || config.prompt.maxOutputTokens || 2048;
+  console.log(`[Router] Selected ${model} for ${category} task (${source}): ${reasoning}`);
+  const reasoningSetting = resolveReasoningEffort({ model, route, override: routeOverride, query: prompt });
+  // Reported as sent to the routed model; fallback models get their own share of the setting
+  const reasoningEffort = appliedReasoning(model, reasoningSetting);
+  if (reasoningEffort) {
+    console.log(`[Router] Reasoning effort ${reasoningEffort.effort || 'default'} (${reasoningEffort.source})${reasoningEffort.maxTokens ? `, max ${reasoningEffort.maxTokens} reasoning tokens` : ''}`);
+  }
   
   // Extract and store facts from prompt
   try {
@@ -116,7 +175,10 @@ export async function streamAIResponse({
   const factsText = conversationId ? getFactsText(conversationId) : '';
   
   // Build prompt template
-  const systemPrompt = buildSystemPrompt({ userInstruction, contextText, factsText });
+  const categoryPrompt = route.systemPrompt || null;
+  const systemPrompt = unified
+    ? buildUnifiedSystemPrompt({ needsTitle: !!unified.needsTitle, userInstruction, contextText, factsText, categoryPrompt })
+    : buildSystemPrompt({ userInstruction, contextText, factsText, categoryPrompt });
   
   const template = ChatPromptTemplate.fromMessages([
     ["system", systemPrompt],
@@ -124,20 +186,29 @@ export async function streamAIResponse({
     new MessagesPlaceholder("input_messages"),
   ]);
   
-  // Create model
-  const llm = new ChatOpenAI({
-    apiKey,
-    model,
-    temperature: 0.7,
-    maxTokens: config.prompt.maxOutputTokens || 2048,
-    configuration: {
-      baseURL: baseUrl,
-      defaultHeaders: {
-        'HTTP-Referer': config.appBaseUrl,
-        'X-Title': 'Thirra AI',
+  // One model per fallback step; retries are ours (utils/modelFallback.js), not the SDK's
+  const modelChain = buildModelChain(route);
+  // Reasoning parameters depend on the provider, so they are built per model
+  const createLLM = (modelName) => {
+    const params = reasoningParams(modelName, reasoningSetting, maxTokens);
+    return new ChatOpenAI({
+      apiKey,
+      model: modelName,
+      temperature,
+      maxTokens: params.maxTokens,
+      modelKwargs: params.modelKwargs,
+      maxRetries: 0,
+      // Raw chunks carry OpenRouter's `delta.reasoning`, which LangChain does not map
+      __includeRawResponse: true,
+      configuration: {
+        baseURL: baseUrl,
+        defaultHeaders: {
+          'HTTP-Referer': config.appBaseUrl,
+          'X-Title': 'Thirra AI',
+        },
       },
-    },
-  });
+    });
+  };
   
   // Prepare input messages
   const inputMessages = [
@@ -145,12 +216,7 @@ export async function streamAIResponse({
     new HumanMessage(String(prompt)),
   ];
   
-  // Create chain and stream with optimized history
-  const chain = template.pipe(llm);
-  const stream = await chain.stream({
-    history: optimizedHistory, // Use cost-optimized history
-    input_messages: inputMessages,
-  });
+  // Chains are created and streamed inside the generator so aborts and provider errors become events
   
   // Track usage and reasoning
   let promptTokens;
@@ -159,91 +225,159 @@ export async function streamAIResponse({
   let reasoningTokens;
   let isReasoning = false;
   let hasStartedOutput = false;
+  let activeModel = model;
+  
+  // Splits unified output into title/summary events and response text
+  const unifiedParser = unified ? createUnifiedStreamParser({ expectTitle: !!unified.needsTitle }) : null;
   
   // Detect reasoning models upfront by model name
-  const isKnownReasoningModel = /gpt-5|o1-preview|o1-mini|o3|deepseek.*reason/i.test(model);
+  const isKnownReasoningModel = isReasoningModel(model);
   
-  async function* textGenerator() {
+  async function* eventGenerator() {
+    yield aiEvent.routing({ model, category, reasoning, routingTime, source, temperature, method, confidence, classifierModel, classifierLatency, classifierUsage, attachments, attachmentSignal, sticky, reasoningEffort });
+    
     // For known reasoning models, immediately signal reasoning phase
     if (isKnownReasoningModel) {
       isReasoning = true;
       console.log(`[AI] 🧠 Reasoning model detected: ${model} - expecting reasoning phase`);
-      yield '___REASONING_START___';
+      yield aiEvent.reasoningStart();
     }
     
-    for await (const chunk of stream) {
-      // Extract usage metadata (including reasoning tokens)
-      const usage = chunk?.usage_metadata || chunk?.response_metadata?.usage;
-      if (usage) {
-        promptTokens = usage?.input_tokens ?? usage?.promptTokens ?? promptTokens;
-        completionTokens = usage?.output_tokens ?? usage?.completionTokens ?? completionTokens;
-        totalTokens = usage?.total_tokens ?? usage?.totalTokens ?? totalTokens;
+    let modelIndex = 0;
+    let attempt = 1;
+    let receivedChunk = false;
+    while (true) {
+      // A provider that sends nothing for firstTokenTimeoutMs is treated like a timeout
+      const attemptController = new AbortController();
+      const { firstTokenTimeoutMs } = config.routing.retry;
+      const firstTokenTimer = firstTokenTimeoutMs > 0
+        ? setTimeout(() => attemptController.abort(new Error(`No response within ${firstTokenTimeoutMs}ms (timeout)`)), firstTokenTimeoutMs)
+        : null;
+      const attemptSignal = signal ? AbortSignal.any([signal, attemptController.signal]) : attemptController.signal;
+      
+      try {
+        const stream = await template.pipe(createLLM(activeModel)).stream({
+          history: optimizedHistory, // Use cost-optimized history
+          input_messages: inputMessages,
+        }, { signal: attemptSignal });
         
-        // Track reasoning tokens (for o1/o3/gpt-5 models)
-        const details = usage?.output_token_details || usage?.completion_tokens_details || {};
-        const newReasoningTokens = details?.reasoning_tokens ?? details?.reasoning ?? 0;
-        if (newReasoningTokens > (reasoningTokens || 0)) {
-          reasoningTokens = newReasoningTokens;
-        }
-      }
+        for await (const chunk of stream) {
+          if (signal?.aborted) break;
+          if (!receivedChunk) {
+            receivedChunk = true;
+            clearTimeout(firstTokenTimer);
+          }
       
-      // Method 1: Check for reasoning contentBlocks (LangChain native)
-      const contentBlocks = chunk?.contentBlocks || chunk?.content_blocks || [];
-      const reasoningBlocks = contentBlocks.filter(block => block?.type === 'reasoning');
-      const hasReasoningBlocks = reasoningBlocks.length > 0;
+          // Extract usage metadata (including reasoning tokens)
+          const usage = chunk?.usage_metadata || chunk?.response_metadata?.usage;
+          if (usage) {
+            promptTokens = usage?.input_tokens ?? usage?.promptTokens ?? promptTokens;
+            completionTokens = usage?.output_tokens ?? usage?.completionTokens ?? completionTokens;
+            totalTokens = usage?.total_tokens ?? usage?.totalTokens ?? totalTokens;
+        
+            // Track reasoning tokens (for o1/o3/gpt-5 models)
+            const details = usage?.output_token_details || usage?.completion_tokens_details || {};
+            const newReasoningTokens = details?.reasoning_tokens ?? details?.reasoning ?? 0;
+            if (newReasoningTokens > (reasoningTokens || 0)) {
+              reasoningTokens = newReasoningTokens;
+            }
+          }
       
-      // Method 2: Check for reasoning_details in metadata
-      const hasReasoningDetails = chunk?.reasoning_details?.length > 0 || 
-                                  chunk?.response_metadata?.reasoning_details?.length > 0;
+          // Method 1: Check for reasoning contentBlocks (LangChain native)
+          const contentBlocks = chunk?.contentBlocks || chunk?.content_blocks || [];
+          const reasoningBlocks = contentBlocks.filter(block => block?.type === 'reasoning');
+          // Method 1b: reasoning text of the raw delta (OpenRouter `reasoning`, DeepSeek `reasoning_content`)
+          const rawDelta = chunk?.additional_kwargs?.__raw_response?.choices?.[0]?.delta;
+          const rawReasoning = rawDelta?.reasoning || rawDelta?.reasoning_content;
+          if (!reasoningBlocks.length && typeof rawReasoning === 'string' && rawReasoning) {
+            reasoningBlocks.push({ type: 'reasoning', reasoning: rawReasoning });
+          }
+          const hasReasoningBlocks = reasoningBlocks.length > 0;
       
-      // Detect reasoning phase from chunk metadata (for unknown reasoning models)
-      if ((hasReasoningBlocks || hasReasoningDetails) && !isReasoning) {
-        isReasoning = true;
-        console.log(`[AI] 🧠 Reasoning phase detected from chunk metadata`);
-        yield '___REASONING_START___';
-      }
+          // Method 2: Check for reasoning_details in metadata
+          const hasReasoningDetails = chunk?.reasoning_details?.length > 0 || 
+                                      chunk?.response_metadata?.reasoning_details?.length > 0;
       
-      // Stream reasoning content (what the model is thinking)
-      if (hasReasoningBlocks) {
-        for (const reasoningBlock of reasoningBlocks) {
-          const reasoningText = reasoningBlock?.reasoning || reasoningBlock?.text;
-          if (reasoningText) {
-            // Yield reasoning content with special marker
-            yield `___REASONING_CONTENT___${reasoningText}___END_REASONING_CONTENT___`;
+          // Detect reasoning phase from chunk metadata (for unknown reasoning models)
+          if ((hasReasoningBlocks || hasReasoningDetails) && !isReasoning) {
+            isReasoning = true;
+            console.log(`[AI] 🧠 Reasoning phase detected from chunk metadata`);
+            yield aiEvent.reasoningStart();
           }
-        }
-        continue; // Skip regular content processing
-      }
       
-      // Skip empty chunks during reasoning phase
-      if (isReasoning && hasReasoningDetails) {
-        continue;
-      }
+          // Stream reasoning content (what the model is thinking)
+          if (hasReasoningBlocks) {
+            for (const reasoningBlock of reasoningBlocks) {
+              const reasoningText = reasoningBlock?.reasoning || reasoningBlock?.text;
+              if (reasoningText) {
+                yield aiEvent.reasoningDelta(reasoningText);
+              }
+            }
+          }
       
-      // Extract text content (actual output)
-      const content = chunk?.content;
-      if (typeof content === 'string' && content) {
-        if (isReasoning && !hasStartedOutput) {
-          hasStartedOutput = true;
-          console.log(`[AI] ✅ Reasoning complete (${reasoningTokens || 0} reasoning tokens), starting output`);
-          yield '___REASONING_END___';
-        }
-        yield content;
-      } else if (Array.isArray(content)) {
-        const text = content.map(part => 
-          typeof part === 'string' ? part : part?.text || ''
-        ).join('');
-        if (text) {
-          if (isReasoning && !hasStartedOutput) {
-            hasStartedOutput = true;
-            console.log(`[AI] ✅ Reasoning complete (${reasoningTokens || 0} reasoning tokens), starting output`);
-            yield '___REASONING_END___';
+          // Extract text content (actual output); a chunk can end the reasoning and start the answer
+          const content = chunk?.content;
+          const text = typeof content === 'string'
+            ? content
+            : Array.isArray(content)
+              ? content.map(part => typeof part === 'string' ? part : part?.text || '').join('')
+              : '';
+          if (text) {
+            if (isReasoning && !hasStartedOutput) {
+              hasStartedOutput = true;
+              console.log(`[AI] ✅ Reasoning complete (${reasoningTokens || 0} reasoning tokens), starting output`);
+              yield aiEvent.reasoningEnd();
+            }
+            if (unifiedParser) {
+              yield* unifiedParser.push(text);
+            } else {
+              yield aiEvent.textDelta(text);
+            }
           }
-          yield text;
         }
+        break;
+      } catch (error) {
+        if (signal?.aborted) break;
+        const failure = attemptController.signal.aborted ? attemptController.signal.reason : error;
+        const reason = describeFailure(failure);
+        // Retry only while nothing has been streamed from this model
+        const next = !receivedChunk && isRetryableError(failure) ? nextAttempt(modelChain, modelIndex, attempt) : null;
+        if (!next) {
+          console.error(`[AI] Stream failed (${activeModel}, try ${attempt}):`, failure?.message || reason);
+          yield aiEvent.error(failure?.message || reason);
+          return;
+        }
+        
+        if (next.modelIndex !== modelIndex) {
+          const from = activeModel;
+          activeModel = modelChain[next.modelIndex];
+          console.warn(`[AI] ↪️ ${from} failed (${reason}) - falling back to ${activeModel}`);
+          yield aiEvent.modelFallback({ from, to: activeModel, reason, attempt });
+        } else {
+          console.warn(`[AI] 🔁 ${activeModel} failed (${reason}) - retry ${next.attempt} in ${next.delayMs}ms`);
+        }
+        modelIndex = next.modelIndex;
+        attempt = next.attempt;
+        await backoff(next.delayMs, signal);
+        if (signal?.aborted) break;
+      } finally {
+        clearTimeout(firstTokenTimer);
       }
     }
     
+    // Flush held-back text and fill in a missing title/summary
+    if (unifiedParser) {
+      yield* unifiedParser.end();
+    }
+    
+    const interruptReason = getInterruptReason(signal);
+    if (interruptReason) {
+      console.log(`[AI] ⏹️ Generation interrupted (${interruptReason})`);
+      yield aiEvent.usage(generator.getUsage());
+      yield aiEvent.interrupted(interruptReason);
+      return;
+    }
+    
     if (totalTokens) {
       const logParts = [`[AI] Tokens - prompt: ${promptTokens}, completion: ${completionTokens}`];
       if (reasoningTokens) {
@@ -253,12 +387,14 @@ export async function streamAIResponse({
       console.log(logParts.join(', '));
       
       // Show cost savings from routing
-      const savings = estimateCostSavings(category, totalTokens);
+      const savings = estimateCostSavings(category, generator.getUsage(), activeModel);
       console.log(`[Router] Cost Optimization:`, savings);
     }
+    
+    yield aiEvent.usage(generator.getUsage());
   }
   
-  const generator = textGenerator();
+  const generator = eventGenerator();
   
   // Attach usage getter (including reasoning tokens)
   generator.getUsage = () => ({
@@ -271,15 +407,83 @@ export async function streamAIResponse({
   return generator;
 }
 
+/**
+ * Answer one prompt with several models at once (compare mode)
+ * Memory is built and the category routed once (or taken from
+ * `routeOverride.category`); every model then answers with that category's
+ * settings, pinned without fallback models. Returns one stream of their
+ * interleaved events, each tagged with its `modelId` (utils/streamEvents.js).
+ */
+export async function streamCompareResponses({
+  pb,
+  conversationId,
+  prompt,
+  files = [],
+  userInstruction = null,
+  signal = null,
+  historyLeafId = undefined,
+  routeOverride = null,
+  models,
+}) {
+  const memory = await buildCombinedMemory({
+    pb,
+    conversationId,
+    query: prompt,
+    instruction: userInstruction,
+    historyLeafId,
+  });
+  const optimizedHistory = getCostOptimizedHistory(memory.historyMsgs, config.prompt.maxHistoryTokens || 2000);
+  const route = routeOverride?.category
+    ? resolveRouteOverride({ category: routeOverride.category })
+    : await routeQuery(prompt, optimizedHistory, { files, signal });
+  console.log(`[Compare] ${models.join(' vs ')} on ${route.category}`);
+  
+  const streams = await Promise.all(models.map(async (model, i) => ({
+    modelId: model,
+    generator: await streamAIResponse({
+      pb,
+      conversationId,
+      prompt,
+      files,
+      userInstruction,
+      signal,
+      historyLeafId,
+      memory,
+      // With a preset route only the override's temperature and reasoning fields apply
+      routeOverride,
+      route: {
+        ...route,
+        model,
+        fallbackModels: [],
+        source: RouteSource.COMPARE,
+        // One classifier call served every answer; count it once
+        classifierUsage: i === 0 ? route.classifierUsage : null,
+      },
+    }),
+  })));
+  return interleaveAIEvents(streams);
+}
+
 /**
  * Generate conversation title
  */
 export async function generateTitle(prompt) {
+  return (await generateTitleWithUsage(prompt)).title;
+}
+
+/**
+ * generateTitle() plus the call's model and token usage (for cost accounting)
+ * Aborting `signal` cancels the call (the fallback title is returned).
+ * @returns {Promise<Object>} - { title, model, usage } (usage null if the call failed)
+ */
+export async function generateTitleWithUsage(prompt, { signal = null } = {}) {
+  const { models } = config.openrouter;
+  // Use lightweight model for title generation
+  const model = models.lightweight;
+  const fallback = { title: 'New Conversation', model, usage: null };
+  
   try {
-    const { apiKey, baseUrl, models } = config.openrouter;
-    
-    // Use lightweight model for title generation
-    const model = models.lightweight;
+    const { apiKey, baseUrl } = config.openrouter;
     
     console.log(`[Title Generation] Using model: ${model}`);
     
@@ -302,29 +506,35 @@ export async function generateTitle(prompt) {
         ],
         max_tokens: 20,
       }),
+      signal,
     });
     
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`[Title Generation] Failed: ${response.status} - ${errorText}`);
-      return 'New Conversation';
+      return fallback;
     }
    
     const data = await response.json();
     console.log(`[Title Generation] Response: ${JSON.stringify(data)}`);
     const title = data?.choices?.[0]?.message?.content || '';
+    const usage = data?.usage ? {
+      promptTokens: data.usage.prompt_tokens ?? 0,
+      completionTokens: data.usage.completion_tokens ?? 0,
+      reasoningTokens: data.usage.completion_tokens_details?.reasoning_tokens ?? 0,
+    } : null;
     
     if (!title) {
       console.warn('[Title Generation] Empty response from API');
-      return 'New Conversation';
+      return { ...fallback, usage };
     }
     
     const cleanTitle = String(title).trim().slice(0, 120);
     console.log(`[Title Generation] Generated: "${cleanTitle}"`);
-    return cleanTitle;
+    return { title: cleanTitle, model, usage };
   } catch (error) {
     console.error('[Title Generation] Error:', error.message);
-    return 'New Conversation';
+    return fallback;
   }
 }
 
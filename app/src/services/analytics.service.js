@@ -0,0 +1,215 @@
+/**
+ * Routing analytics
+ *
+ * Aggregates the routing decisions stored on turns (one per answer variant,
+ * see buildRoutingRecord in services/chat.service.js) over a date range:
+ * category and model distribution, routing latency, how often the keyword
+ * fallback or a fallback model had to step in, and how often conversation
+ * stickiness kept a category the classifier wanted to leave. Compare-mode
+ * votes (`model_votes`, see voteTurnVariant in services/chat.service.js) are
+ * summarized per category against the model the routing table picks.
+ */
+
+import { ClassificationMethod, RouteSource } from '../utils/queryRouter.js';
+import { StickyDecision } from '../utils/stickyRouting.js';
+import { getCategory } from '../utils/routingTable.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// PocketBase datetime literal ("2025-01-31 12:00:00.000Z")
+function pbDate(date) {
+  return date.toISOString().replace('T', ' ');
+}
+
+/**
+ * Parse `from`/`to` query values (ISO dates; default: the last 30 days)
+ * A date-only `to` includes that whole day.
+ * @returns {Object} - { from: Date, to: Date }
+ */
+export function parseDateRange({ from, to } = {}) {
+  const end = to ? new Date(DATE_ONLY.test(to) ? `${to}T23:59:59.999Z` : to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError(400, 'from and to must be ISO dates');
+  }
+  if (start > end) {
+    throw httpError(400, 'from must be before to');
+  }
+  return { from: start, to: end };
+}
+
+// Routing decisions of one turn (every variant), legacy turns included without latency data
+function turnDecisions(turn) {
+  const variants = Array.isArray(turn.variants) && turn.variants.length
+    ? turn.variants
+    : [{ model: turn.model, category: turn.category, route_source: turn.route_source, routing: turn.routing, created: turn.created }];
+  return variants.map(v => ({
+    ...(v.routing || {}),
+    category: v.routing?.category || v.category || null,
+    model: v.model || v.routing?.model || null,
+    source: v.routing?.source || v.route_source || null,
+    modelFallbacks: Array.isArray(v.model_fallbacks) ? v.model_fallbacks.length : 0,
+    recorded: !!v.routing,
+    created: v.created || turn.created,
+  }));
+}
+
+function distribution(decisions, key) {
+  const counts = new Map();
+  for (const d of decisions) {
+    const value = d[key] || 'unknown';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, count]) => ({ [key]: value, count, share: ratio(count, decisions.length) }));
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 10000) / 10000 : 0;
+}
+
+function average(values) {
+  const nums = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+  return nums.length ? Math.round(nums.reduce((sum, v) => sum + v, 0) / nums.length) : null;
+}
+
+/**
+ * Aggregate routing decisions
+ * @param {Object[]} decisions - Output of turnDecisions()
+ */
+export function summarizeRoutingDecisions(decisions) {
+  const routed = decisions.filter(d => d.recorded && d.source === RouteSource.ROUTER);
+  const keyword = routed.filter(d => d.method === ClassificationMethod.KEYWORD).length;
+  const invalid = routed.filter(d => d.method === ClassificationMethod.DEFAULT).length;
+  const withFallback = decisions.filter(d => d.modelFallbacks > 0).length;
+  const sticky = routed.filter(d => d.sticky?.decision);
+  const held = sticky.filter(d => d.sticky.decision === StickyDecision.HELD).length;
+
+  return {
+    totalDecisions: decisions.length,
+    byCategory: distribution(decisions, 'category'),
+    byModel: distribution(decisions, 'model'),
+    bySource: distribution(decisions, 'source'),
+    byMethod: distribution(routed, 'method'),
+    latency: {
+      samples: routed.length,
+      avgRoutingTimeMs: average(routed.map(d => d.routing_time_ms)),
+      avgClassifierLatencyMs: average(routed.map(d => d.classifier_latency_ms)),
+    },
+    classifier: {
+      models: distribution(routed, 'classifier_model').map(({ classifier_model: model, count, share }) => ({ model, count, share })),
+      keywordFallbackCount: keyword,
+      keywordFallbackRate: ratio(keyword, routed.length),
+      defaultCategoryCount: invalid,
+      defaultCategoryRate: ratio(invalid, routed.length),
+    },
+    modelFallback: {
+      count: withFallback,
+      rate: ratio(withFallback, decisions.length),
+    },
+    sticky: {
+      samples: sticky.length,
+      decisions: distribution(sticky.map(d => ({ decision: d.sticky.decision })), 'decision'),
+      heldCount: held,
+      heldRate: ratio(held, sticky.length),
+    },
+  };
+}
+
+/**
+ * Routing analytics for a date range
+ * @param {Object} pb - Authenticated PocketBase client
+ * @param {Object} options - { from: Date, to: Date, ownerId } (ownerId null = every conversation the client can read)
+ */
+export async function getRoutingAnalytics(pb, { from, to, ownerId = null }) {
+  // A turn can gain variants after it was created, so filter variants by their own date
+  const filters = [`created <= "${pbDate(to)}"`, `updated >= "${pbDate(from)}"`];
+  if (ownerId) filters.push(`conversation.owner = "${ownerId}"`);
+
+  const turns = await pb.collection('turns').getFullList(500, {
+    filter: filters.join(' && '),
+    fields: 'id,created,model,category,route_source,routing,variants',
+  });
+
+  const decisions = turns.flatMap(turnDecisions).filter((d) => {
+    const created = new Date(d.created);
+    return created >= from && created <= to;
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    scope: ownerId ? 'user' : 'all',
+    ...summarizeRoutingDecisions(decisions),
+  };
+}
+
+/**
+ * Aggregate compare-mode votes per category
+ * @param {Object[]} votes - model_votes records ({ category, models, winner })
+ */
+export function summarizeVotes(votes) {
+  const categories = new Map();
+  for (const vote of votes) {
+    const category = vote.category || 'unknown';
+    if (!categories.has(category)) categories.set(category, { votes: 0, models: new Map() });
+    const entry = categories.get(category);
+    entry.votes++;
+    for (const model of Array.isArray(vote.models) ? vote.models : []) {
+      const stats = entry.models.get(model) || { model, appearances: 0, wins: 0 };
+      stats.appearances++;
+      if (model === vote.winner) stats.wins++;
+      entry.models.set(model, stats);
+    }
+  }
+
+  const byCategory = [...categories.entries()]
+    .sort((a, b) => b[1].votes - a[1].votes)
+    .map(([category, entry]) => {
+      const models = [...entry.models.values()]
+        .map(m => ({ ...m, winRate: ratio(m.wins, m.appearances) }))
+        .sort((a, b) => b.winRate - a.winRate || b.wins - a.wins);
+      // The model the routing table sends this category to today
+      const configuredModel = getCategory(category)?.model || null;
+      return {
+        category,
+        votes: entry.votes,
+        configuredModel,
+        topModel: models[0]?.model || null,
+        configuredIsTop: configuredModel && models.length ? models[0].model === configuredModel : null,
+        models,
+      };
+    });
+
+  return { totalVotes: votes.length, byCategory };
+}
+
+/**
+ * Compare-mode vote analytics for a date range
+ * @param {Object} pb - Authenticated PocketBase client
+ * @param {Object} options - { from: Date, to: Date, ownerId } (ownerId null = every vote the client can read)
+ */
+export async function getVoteAnalytics(pb, { from, to, ownerId = null }) {
+  const filters = [`updated >= "${pbDate(from)}"`, `updated <= "${pbDate(to)}"`];
+  if (ownerId) filters.push(`owner = "${ownerId}"`);
+
+  const votes = await pb.collection('model_votes').getFullList(500, {
+    filter: filters.join(' && '),
+    fields: 'id,category,models,winner,updated',
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    scope: ownerId ? 'user' : 'all',
+    ...summarizeVotes(votes),
+  };
+}
@@ -1,3 +1,5 @@
+import { fetchTurnAttachmentText } from '../utils/rag.js';
+
 const EXT_MIME = {
   txt: 'text/plain',
   text: 'text/plain',
@@ -50,4 +52,18 @@ export function extractAssistantAttachments(text) {
     idx += 1;
   }
   return attachments;
-}
\ No newline at end of file
+}
+
+// Rebuild multer-like file objects from a persisted turn's text attachments
+// (binary files can't be re-sent to the model and are skipped).
+export async function loadTurnUserFiles(turn) {
+  const names = Array.isArray(turn?.user_attachments) ? turn.user_attachments : [];
+  const files = [];
+  for (const name of names) {
+    const text = await fetchTurnAttachmentText(turn.id, name);
+    if (text) {
+      files.push({ originalname: name, mimetype: 'text/plain', buffer: Buffer.from(text, 'utf-8') });
+    }
+  }
+  return files;
+}
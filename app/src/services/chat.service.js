@@ -1,4 +1,22 @@
-import { invalidateTurnCache } from '../memory/cache.js';
+import { randomBytes } from 'node:crypto';
+import { getCachedTurns, invalidateTurnCache } from '../memory/cache.js';
+import { normalizeTurnSummary, queueTurnSummary } from './turnSummary.service.js';
+import { resolveActiveLeaf } from '../utils/turnTree.js';
+import { costBreakdown, roundUsd } from '../utils/pricing.js';
+import { nextRoutingState, routingStateOf, saveRoutingState } from '../utils/stickyRouting.js';
+import { extractAssistantAttachments } from './attachments.service.js';
+import config from '../config/config.js';
+
+const RECORD_ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// PocketBase-compatible record id (15 chars, [a-z0-9]) so a turn id can be
+// handed to the client before the turn is persisted.
+export function generateRecordId() {
+  const bytes = randomBytes(15);
+  let id = '';
+  for (const b of bytes) id += RECORD_ID_ALPHABET[b % RECORD_ID_ALPHABET.length];
+  return id;
+}
 
 export async function createConversation(req, title) {
   try {
@@ -12,30 +30,236 @@ export async function createConversation(req, title) {
 }
 
 export async function getConversationMeta(req, conversationId) {
+  return (await getConversationForTurn(req, conversationId)).conversation;
+}
+
+// Conversation meta and its routing_state (utils/stickyRouting.js) from one read,
+// so a new turn does not load the conversation twice
+export async function getConversationForTurn(req, conversationId) {
   try {
     const c = await req.pb.collection('conversations').getOne(conversationId);
-    return { id: c.id, title: c.title, created: c.created, updated: c.updated };
+    return { conversation: { id: c.id, title: c.title, created: c.created, updated: c.updated }, routingState: routingStateOf(c) };
   } catch {
-    return { id: conversationId, title: 'Conversation', created: '', updated: '' };
+    return { conversation: { id: conversationId, title: 'Conversation', created: '', updated: '' }, routingState: null };
   }
 }
 
-export async function createTurn(req, { conversationId, prompt, assistantText, files = [], assistantAttachments = [], usage = {} }) {
-  const hasUserFiles = Array.isArray(files) && files.length > 0;
-  const hasAssistantFiles = Array.isArray(assistantAttachments) && assistantAttachments.length > 0;
+export async function updateConversationTitle(req, conversationId, title) {
+  try {
+    const c = await req.pb.collection('conversations').update(conversationId, { title });
+    return { id: c.id, title: c.title, created: c.created, updated: c.updated };
+  } catch (e) {
+    console.warn('[Conversation] Failed to update title:', e?.message || e);
+    return null;
+  }
+}
 
+function normalizeUsage(usage = {}) {
   const promptTokens = Number(usage?.promptTokens ?? 0) || 0;
   const completionTokens = Number(usage?.completionTokens ?? 0) || 0;
   const totalTokens = Number(usage?.totalTokens ?? (promptTokens + completionTokens)) || 0;
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+// Routing decision behind an answer, stored for analytics (services/analytics.service.js)
+function buildRoutingRecord(routing) {
+  if (!routing) return null;
+  return {
+    category: routing.category || null,
+    model: routing.model || null,
+    requested_model: routing.requestedModel || routing.model || null,
+    reasoning: routing.reasoning || null,
+    source: routing.source || null,
+    method: routing.method || null,
+    confidence: routing.confidence ?? null,
+    routing_time_ms: Number(routing.routingTime ?? 0) || 0,
+    classifier_model: routing.classifierModel || null,
+    classifier_latency_ms: routing.classifierLatency ?? null,
+    attachments: routing.attachments ? {
+      count: routing.attachments.count,
+      total_bytes: routing.attachments.totalBytes,
+      kinds: routing.attachments.kinds,
+      has_image: routing.attachments.hasImage,
+    } : null,
+    attachment_signal: routing.attachmentSignal || null,
+    sticky: routing.sticky || null,
+    reasoning_effort: routing.reasoningEffort ? {
+      effort: routing.reasoningEffort.effort,
+      max_tokens: routing.reasoningEffort.maxTokens,
+      source: routing.reasoningEffort.source,
+    } : null,
+  };
+}
+
+// USD cost of an answer: the answering model, the classifier call and any
+// extra calls made for it (e.g. { kind: 'title', model, usage })
+function buildCost({ routing, usage, extraCalls = [] }) {
+  const { total, calls } = costBreakdown([
+    { kind: 'answer', model: routing?.model, usage },
+    { kind: 'classifier', model: routing?.classifierModel, usage: routing?.classifierUsage },
+    ...extraCalls,
+  ]);
+  return { cost_usd: total, cost_breakdown: calls };
+}
+
+// Reasoning trace and reasoning-token count, kept only for users with save_reasoning.
+// They live in their own fields; memory and RAG read assistant_text only.
+function reasoningFields(req, { reasoningText = '', usage = {} }) {
+  if (!req.user?.save_reasoning) return {};
+  const maxChars = config.reasoning.traceMaxChars;
+  const text = String(reasoningText || '');
+  return {
+    reasoning_text: text.length > maxChars ? `${text.slice(0, maxChars)}\n[...truncated...]` : text,
+    reasoning_tokens: Number(usage?.reasoningTokens ?? 0) || 0,
+  };
+}
+
+// One assistant answer of a turn; turns keep every variant and mirror the active one
+// into assistant_text/model/category/summary so memory and history read it directly.
+function buildVariant({ assistantText, routing = null, usage = {}, interrupted = null, summary = null, extraCalls = [], reasoning = {} }) {
+  const { promptTokens, completionTokens, totalTokens } = normalizeUsage(usage);
+  return {
+    assistant_text: assistantText,
+    model: routing?.model || null,
+    category: routing?.category || null,
+    route_source: routing?.source || null,
+    temperature: routing?.temperature ?? null,
+    model_fallbacks: routing?.fallbacks?.length ? routing.fallbacks : [],
+    routing: buildRoutingRecord(routing),
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: totalTokens },
+    ...buildCost({ routing, usage, extraCalls }),
+    interrupt_reason: interrupted || null,
+    summary: normalizeTurnSummary(summary),
+    ...reasoning,
+    created: new Date().toISOString(),
+  };
+}
+
+function activeVariantFields(variant) {
+  return {
+    assistant_text: variant.assistant_text,
+    model: variant.model || '',
+    category: variant.category || '',
+    route_source: variant.route_source || '',
+    routing: variant.routing || null,
+    interrupted: !!variant.interrupt_reason,
+    interrupt_reason: variant.interrupt_reason || '',
+    summary: variant.summary || '',
+    reasoning_text: variant.reasoning_text || '',
+    reasoning_tokens: variant.reasoning_tokens || 0,
+  };
+}
+
+/**
+ * All turns of a conversation (cached), sorted by created
+ */
+export async function getConversationTurns(req, conversationId) {
+  return getCachedTurns(req.pb, conversationId);
+}
+
+/**
+ * Leaf of the conversation's active branch (null for an empty conversation)
+ */
+export async function getActiveLeafId(req, conversationId) {
+  const turns = await getConversationTurns(req, conversationId);
+  let stored = null;
+  try {
+    stored = (await req.pb.collection('conversations').getOne(conversationId))?.active_leaf || null;
+  } catch {}
+  return resolveActiveLeaf(turns, stored);
+}
+
+export async function setActiveLeaf(req, conversationId, turnId) {
+  try {
+    await req.pb.collection('conversations').update(conversationId, { active_leaf: turnId });
+  } catch (e) {
+    console.warn('[Branch] Failed to update active leaf:', e?.message || e);
+  }
+}
+
+// parentId: turn this one continues (null = branch root, undefined = legacy flat append)
+// summary: short summary for long-term memory (unified output); summarized in the background when missing
+// extraCalls: other model calls made for this turn ([{ kind, model, usage }], e.g. the title), counted in its cost
+// A sticky-routed turn advances the conversation's routing_state once it is saved
+export async function createTurn(req, { turnId = null, conversationId, prompt, assistantText, reasoningText = '', files = [], assistantAttachments = [], usage = {}, interrupted = null, routing = null, parentId = undefined, summary = null, extraCalls = [] }) {
+  const reasoning = reasoningFields(req, { reasoningText, usage });
+  const variants = [buildVariant({ assistantText, routing, usage, interrupted, summary, extraCalls, reasoning })];
+  const turn = await insertTurn(req, { turnId, conversationId, prompt, files, assistantAttachments, variants, parentId });
+  if (routing?.sticky) await saveRoutingState(req.pb, conversationId, nextRoutingState(routing));
+  return turn;
+}
+
+/**
+ * Save a compare-mode turn: one variant per model, the first answer active until the user votes
+ * @param {Object[]} answers - [{ assistantText, usage, routing, interrupted }] in model order
+ * @param {string[]} models - Every model asked, including ones that failed
+ */
+export async function createCompareTurn(req, { turnId = null, conversationId, prompt, files = [], assistantAttachments = [], answers, models, parentId = undefined, extraCalls = [] }) {
+  // The title call belongs to the turn, not to one model; book it on the first variant
+  const variants = answers.map((a, i) => buildVariant({ ...a, extraCalls: i === 0 ? extraCalls : [], reasoning: reasoningFields(req, a) }));
+  const compare = {
+    models,
+    category: variants[0]?.category || null,
+    winner: null,
+    voted_at: null,
+  };
+  return insertTurn(req, { turnId, conversationId, prompt, files, assistantAttachments, variants, parentId, compare });
+}
+
+// Save a compare-mode turn from the per-model results (collectCompareEvents(); models that failed are left out)
+// Returns the turn, or null when no model answered
+export async function saveCompareTurn(req, { turnId, conversation, prompt, files, models, results, parentId, extraCalls }) {
+  const answers = models.map(m => results[m]).filter(r => r && !r.error);
+  if (!answers.length) return null;
+  return createCompareTurn(req, {
+    turnId,
+    conversationId: conversation.id,
+    prompt,
+    files,
+    assistantAttachments: extractAssistantAttachments(answers[0].assistantText),
+    answers,
+    models,
+    parentId,
+    extraCalls,
+  });
+}
+
+// Create a turn whose first variant is active; token and cost counters sum every variant
+async function insertTurn(req, { turnId, conversationId, prompt, files = [], assistantAttachments = [], variants, parentId, compare = null }) {
+  const hasUserFiles = Array.isArray(files) && files.length > 0;
+  const hasAssistantFiles = Array.isArray(assistantAttachments) && assistantAttachments.length > 0;
+
+  const totals = variants.reduce((sum, v) => ({
+    promptTokens: sum.promptTokens + (v.usage?.prompt_tokens || 0),
+    completionTokens: sum.completionTokens + (v.usage?.completion_tokens || 0),
+    totalTokens: sum.totalTokens + (v.usage?.total_tokens || 0),
+    costUsd: roundUsd(sum.costUsd + (v.cost_usd || 0)),
+  }), { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+  const { promptTokens, completionTokens, totalTokens, costUsd } = totals;
 
+  const fields = {
+    conversation: conversationId,
+    user_text: prompt,
+    ...activeVariantFields(variants[0]),
+    variants,
+    active_variant: 0,
+  };
+  if (turnId) fields.id = turnId;
+  if (compare) fields.compare = compare;
+  if (parentId) fields.parent = parentId;
+  else if (parentId === null) fields.root = true;
+  if (promptTokens) fields.prompt_tokens = promptTokens;
+  if (completionTokens) fields.completion_tokens = completionTokens;
+  if (totalTokens) fields.total_tokens = totalTokens;
+  if (costUsd) fields.cost_usd = costUsd;
+
+  let turn;
   if (hasUserFiles || hasAssistantFiles) {
     const form = new FormData();
-    form.append('conversation', conversationId);
-    form.append('user_text', prompt);
-    form.append('assistant_text', assistantText);
-    if (promptTokens) form.append('prompt_tokens', String(promptTokens));
-    if (completionTokens) form.append('completion_tokens', String(completionTokens));
-    if (totalTokens) form.append('total_tokens', String(totalTokens));
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === null || value === undefined || value === '') continue;
+      form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
 
     // user attachments
     if (hasUserFiles) {
@@ -53,45 +277,188 @@ export async function createTurn(req, { conversationId, prompt, assistantText, f
       }
     }
 
-    const turn = await req.pb.collection('turns').create(form);
-    await updateUsageAggregates(req, { conversationId, promptTokens, completionTokens, totalTokens });
-    
-    // Invalidate cache after new turn
-    invalidateTurnCache(conversationId);
-    
-    return turn;
+    turn = await req.pb.collection('turns').create(form);
+  } else {
+    turn = await req.pb.collection('turns').create(fields);
   }
 
-  const payload = {
-    conversation: conversationId,
-    user_text: prompt,
-    assistant_text: assistantText,
-  };
-  if (promptTokens) payload.prompt_tokens = promptTokens;
-  if (completionTokens) payload.completion_tokens = completionTokens;
-  if (totalTokens) payload.total_tokens = totalTokens;
-
-  const turn = await req.pb.collection('turns').create(payload);
-  await updateUsageAggregates(req, { conversationId, promptTokens, completionTokens, totalTokens });
+  await updateUsageAggregates(req, { conversationId, promptTokens, completionTokens, totalTokens, costUsd });
+  await setActiveLeaf(req, conversationId, turn.id);
   
   // Invalidate cache after new turn
   invalidateTurnCache(conversationId);
+  if (!variants[0].summary) queueTurnSummary(req.pb, turn.id, 0);
   
   return turn;
 }
 
-async function updateUsageAggregates(req, { conversationId, promptTokens = 0, completionTokens = 0, totalTokens = 0 }) {
+/**
+ * Get a turn of a conversation, or throw 404
+ */
+export async function getConversationTurn(req, conversationId, turnId) {
+  let turn;
+  try {
+    turn = await req.pb.collection('turns').getOne(turnId);
+  } catch {
+    turn = null;
+  }
+  if (!turn || turn.conversation !== conversationId) {
+    const err = new Error('Turn not found');
+    err.status = 404;
+    throw err;
+  }
+  return turn;
+}
+
+// Variants of a turn; turns saved before variants existed get their answer as variant 0
+function getTurnVariants(turn) {
+  if (Array.isArray(turn.variants) && turn.variants.length) return turn.variants;
+  return [{
+    assistant_text: turn.assistant_text || '',
+    model: turn.model || null,
+    category: turn.category || null,
+    route_source: turn.route_source || null,
+    usage: {
+      prompt_tokens: Number(turn.prompt_tokens ?? 0) || 0,
+      completion_tokens: Number(turn.completion_tokens ?? 0) || 0,
+      total_tokens: Number(turn.total_tokens ?? 0) || 0,
+    },
+    interrupt_reason: turn.interrupt_reason || null,
+    summary: turn.summary || null,
+    created: turn.created,
+  }];
+}
+
+/**
+ * Append a regenerated answer to a turn and make it the active variant
+ */
+export async function addTurnVariant(req, { turn, assistantText, reasoningText = '', usage = {}, interrupted = null, routing = null, summary = null }) {
+  const reasoning = reasoningFields(req, { reasoningText, usage });
+  const variants = [...getTurnVariants(turn), buildVariant({ assistantText, routing, usage, interrupted, summary, reasoning })];
+  const activeIndex = variants.length - 1;
+  const { promptTokens, completionTokens, totalTokens } = normalizeUsage(usage);
+
+  const updated = await req.pb.collection('turns').update(turn.id, {
+    ...activeVariantFields(variants[activeIndex]),
+    variants,
+    active_variant: activeIndex,
+    // Turn token and cost counters accumulate every variant's cost
+    prompt_tokens: (Number(turn.prompt_tokens ?? 0) || 0) + promptTokens,
+    completion_tokens: (Number(turn.completion_tokens ?? 0) || 0) + completionTokens,
+    total_tokens: (Number(turn.total_tokens ?? 0) || 0) + totalTokens,
+    cost_usd: roundUsd((Number(turn.cost_usd ?? 0) || 0) + variants[activeIndex].cost_usd),
+  });
+  await updateUsageAggregates(req, { conversationId: turn.conversation, promptTokens, completionTokens, totalTokens, costUsd: variants[activeIndex].cost_usd });
+
+  invalidateTurnCache(turn.conversation);
+  if (!variants[activeIndex].summary) queueTurnSummary(req.pb, turn.id, activeIndex);
+
+  return updated;
+}
+
+/**
+ * Select which variant of a turn is active
+ * `extraFields` are written in the same update (e.g. a compare vote)
+ */
+export async function selectTurnVariant(req, { turn, index, extraFields = {} }) {
+  const variants = getTurnVariants(turn);
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0 || i >= variants.length) {
+    const err = new Error(`variant must be an index between 0 and ${variants.length - 1}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const updated = await req.pb.collection('turns').update(turn.id, {
+    ...activeVariantFields(variants[i]),
+    variants,
+    active_variant: i,
+    ...extraFields,
+  });
+
+  invalidateTurnCache(turn.conversation);
+  if (!variants[i].summary) queueTurnSummary(req.pb, turn.id, i);
+
+  return updated;
+}
+
+/**
+ * Vote for the best answer of a compare-mode turn
+ * The winner becomes the active variant (and so the turn's assistant_text), and
+ * the vote is kept per category in `model_votes` (one record per turn; voting
+ * again replaces it) for services/analytics.service.js.
+ * @param {Object} choice - { variant } (index) or { model }
+ */
+export async function voteTurnVariant(req, { turn, variant = null, model = null }) {
+  if (!turn.compare) {
+    const err = new Error('Only compare-mode turns can be voted on');
+    err.status = 400;
+    throw err;
+  }
+  const variants = getTurnVariants(turn);
+  const index = model ? variants.findIndex(v => v.model === model) : Number(variant);
+  if (model && index < 0) {
+    const err = new Error(`No answer from model ${model} in this turn`);
+    err.status = 400;
+    throw err;
+  }
+
+  const winner = variants[index]?.model || null;
+  const votedAt = new Date().toISOString();
+  const updated = await selectTurnVariant(req, {
+    turn,
+    index,
+    extraFields: { compare: { ...turn.compare, winner, voted_at: votedAt } },
+  });
+
+  const vote = {
+    owner: req.user.id,
+    conversation: turn.conversation,
+    turn: turn.id,
+    category: turn.compare.category || variants[index].category || null,
+    models: variants.map(v => v.model).filter(Boolean),
+    winner,
+  };
   try {
-    // Update conversation totals
-    const conv = await req.pb.collection('conversations').getOne(conversationId);
-    const newConvTotals = {
-      prompt_tokens_total: Number(conv?.prompt_tokens_total ?? 0) + (promptTokens || 0),
-      completion_tokens_total: Number(conv?.completion_tokens_total ?? 0) + (completionTokens || 0),
-      total_tokens: Number(conv?.total_tokens ?? 0) + (totalTokens || 0),
-    };
-    await req.pb.collection('conversations').update(conversationId, newConvTotals);
+    const votes = req.pb.collection('model_votes');
+    // Only "no vote yet" creates one; other read errors must not add a duplicate
+    const existing = await votes.getFirstListItem(`turn = "${turn.id}"`).catch((e) => {
+      if (e?.status === 404) return null;
+      throw e;
+    });
+    if (existing) await votes.update(existing.id, vote);
+    else await votes.create(vote);
   } catch (e) {
-    console.warn('[Usage] Failed to update conversation totals:', e?.message || e);
+    console.warn('[Compare] Failed to store vote:', e?.message || e);
+  }
+
+  return updated;
+}
+
+/**
+ * Count usage of a reply that has no turn (e.g. stateless /v1 completions) toward the user
+ */
+export async function recordUserUsage(req, usage = {}, routing = null) {
+  const { promptTokens, completionTokens, totalTokens } = normalizeUsage(usage);
+  const { cost_usd: costUsd } = buildCost({ routing, usage });
+  await updateUsageAggregates(req, { conversationId: null, promptTokens, completionTokens, totalTokens, costUsd });
+}
+
+async function updateUsageAggregates(req, { conversationId, promptTokens = 0, completionTokens = 0, totalTokens = 0, costUsd = 0 }) {
+  if (conversationId) {
+    try {
+      // Update conversation totals
+      const conv = await req.pb.collection('conversations').getOne(conversationId);
+      const newConvTotals = {
+        prompt_tokens_total: Number(conv?.prompt_tokens_total ?? 0) + (promptTokens || 0),
+        completion_tokens_total: Number(conv?.completion_tokens_total ?? 0) + (completionTokens || 0),
+        total_tokens: Number(conv?.total_tokens ?? 0) + (totalTokens || 0),
+        cost_usd_total: roundUsd(Number(conv?.cost_usd_total ?? 0) + (costUsd || 0)),
+      };
+      await req.pb.collection('conversations').update(conversationId, newConvTotals);
+    } catch (e) {
+      console.warn('[Usage] Failed to update conversation totals:', e?.message || e);
+    }
   }
 
   try {
@@ -101,6 +468,7 @@ async function updateUsageAggregates(req, { conversationId, promptTokens = 0, co
       const user = await req.pb.collection('users').getOne(userId);
       const newUserTotals = {
         tokens_total: Number(user?.tokens_total ?? 0) + (totalTokens || 0),
+        cost_usd_total: roundUsd(Number(user?.cost_usd_total ?? 0) + (costUsd || 0)),
       };
       await req.pb.collection('users').update(userId, newUserTotals);
     }
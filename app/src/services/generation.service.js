@@ -0,0 +1,120 @@
+/**
+ * In-flight generation registry
+ *
+ * Tracks running generations by turn id so they can be cancelled when the
+ * client disconnects or when another tab calls POST /api/chat/:turnId/stop.
+ * Process-local: a stop request must reach the instance running the stream.
+ */
+
+import { generateRecordId } from './chat.service.js';
+import { createStreamBuffer } from './streamBuffer.service.js';
+import { createStreamWriter } from '../utils/streamWriter.js';
+
+// turnId -> { turnId, conversationId, userId, controller, startedAt }
+const activeGenerations = new Map();
+
+/**
+ * Why a generation ended before the model finished
+ */
+export const InterruptReason = {
+  CLIENT_DISCONNECTED: 'client_disconnected',
+  STOPPED_BY_USER: 'stopped_by_user',
+  TIMEOUT: 'timeout',
+};
+
+/**
+ * Register a generation and return its handle
+ * @returns {Object} - { turnId, conversationId, userId, signal, abort(reason) }
+ */
+export function startGeneration({ turnId, conversationId = null, userId = null }) {
+  const controller = new AbortController();
+  const generation = {
+    turnId,
+    conversationId,
+    userId,
+    controller,
+    startedAt: Date.now(),
+    get signal() {
+      return controller.signal;
+    },
+    abort(reason) {
+      if (!controller.signal.aborted) controller.abort(reason);
+    },
+  };
+  activeGenerations.set(turnId, generation);
+  return generation;
+}
+
+/**
+ * Stop a running generation owned by userId
+ * @returns {boolean} - false if no such generation is running for this user
+ */
+export function stopGeneration(turnId, { userId, reason = InterruptReason.STOPPED_BY_USER } = {}) {
+  const generation = activeGenerations.get(turnId);
+  if (!generation || generation.userId !== userId) return false;
+  generation.abort(reason);
+  return true;
+}
+
+/**
+ * Remove a generation once its turn is persisted (or failed)
+ */
+export function finishGeneration(turnId) {
+  activeGenerations.delete(turnId);
+}
+
+/**
+ * Find the running generation of a conversation, if any
+ */
+export function getActiveGeneration(conversationId) {
+  if (!conversationId) return null;
+  for (const generation of activeGenerations.values()) {
+    if (generation.conversationId === conversationId) return generation;
+  }
+  return null;
+}
+
+/**
+ * Abort reason of a signal, if it was aborted
+ */
+export function getInterruptReason(signal) {
+  if (!signal?.aborted) return null;
+  return typeof signal.reason === 'string' ? signal.reason : InterruptReason.CLIENT_DISCONNECTED;
+}
+
+/**
+ * Open a streamed generation for a chat request
+ * Bundles what every chat route needs: a pre-allocated turn id, an abort
+ * signal, a replay buffer and the stream writer. A client disconnect only
+ * aborts the generation if nobody resumes it within config.stream.resumeGraceMs.
+ * @param {Object} [options]
+ * @param {string} [options.turnId] - Existing turn being regenerated (default: a new id)
+ * @returns {Object} - { turnId, streamId, generation, stream, writer, close() }
+ */
+export function openGeneration(req, res, { turnId = generateRecordId() } = {}) {
+  const userId = req.user?.id;
+  const generation = startGeneration({ turnId, userId });
+  const stream = createStreamBuffer({
+    userId,
+    onAbandoned: () => generation.abort(InterruptReason.CLIENT_DISCONNECTED),
+  });
+  const writer = createStreamWriter(req, res, { stream });
+
+  // res 'close' also fires after a normal end; writableEnded tells them apart
+  stream.attach();
+  res.on('close', () => {
+    if (!res.writableEnded) stream.detach();
+  });
+
+  return {
+    turnId,
+    streamId: stream.streamId,
+    generation,
+    stream,
+    writer,
+    close() {
+      finishGeneration(turnId);
+      stream.complete();
+    },
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * Per-user knowledge base
+ *
+ * Text files a user uploads once and every conversation of theirs can draw on
+ * (memory/memoryLayers.js retrieves from it next to the conversation's store).
+ * Documents are stored in the PocketBase `knowledge_documents` collection:
+ *   { owner, name, file, mimetype, size, status, chunk_count, embed_model, indexed_at, error }
+ * and their embedded chunks in `knowledge_chunks`:
+ *   { owner, document, chunk_hash, text, embedding, embed_model, embed_dims, index_version }
+ * A document is chunked and embedded when it is uploaded or re-indexed, never
+ * per conversation. Retrieval reads an owner's chunks through a process-local
+ * cache (KNOWLEDGE_CACHE_TTL_MS). Chunks embedded with another model
+ * (EMBED_MODEL) or index version are skipped and their documents re-indexed
+ * in the background (not ones whose last indexing failed; those wait for an
+ * explicit re-index).
+ */
+
+import config from '../config/config.js';
+import { getEmbeddingsClient } from '../utils/embeddingsClient.js';
+import { chunkText, cosineSim, isTextLikeFile, RETRIEVAL_CHUNK_MAX_CHARS } from '../utils/rag.js';
+import { chunkHash, RAG_INDEX_VERSION } from '../utils/vectorStore.js';
+
+const DOCUMENTS = 'knowledge_documents';
+const CHUNKS = 'knowledge_chunks';
+
+/**
+ * Document status (knowledge_documents.status)
+ */
+export const KnowledgeStatus = {
+  INDEXING: 'indexing',
+  INDEXED: 'indexed',
+  FAILED: 'failed',
+};
+
+// ownerId -> { chunks: [{ documentId, text, embedding }], names: Map<documentId, name>, loadedAt }
+const ownerIndexes = new Map();
+// Document ids being re-indexed in the background after an embedding model change
+const reindexing = new Set();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isCurrent(record) {
+  return record.embed_model === config.openrouter.embedModel
+    && Number(record.index_version) === RAG_INDEX_VERSION
+    && Array.isArray(record.embedding);
+}
+
+export function formatDocument(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    mimetype: record.mimetype || null,
+    size: Number(record.size) || 0,
+    status: record.status || null,
+    chunk_count: Number(record.chunk_count) || 0,
+    embed_model: record.embed_model || null,
+    indexed_at: record.indexed_at || null,
+    error: record.error || null,
+    created: record.created,
+  };
+}
+
+export function invalidateKnowledgeCache(ownerId) {
+  ownerIndexes.delete(ownerId);
+}
+
+/**
+ * A document of the owner, or throw 404
+ */
+async function getOwnedDocument(pb, ownerId, id) {
+  let record = null;
+  try {
+    record = await pb.collection(DOCUMENTS).getOne(id);
+  } catch (_) {}
+  if (!record || record.owner !== ownerId) throw httpError(404, 'Document not found');
+  return record;
+}
+
+async function deleteChunks(pb, ids) {
+  for (const id of ids) {
+    try {
+      await pb.collection(CHUNKS).delete(id);
+    } catch (e) {
+      if (e?.status !== 404) console.warn('[Knowledge] Failed to delete chunk:', e?.message || e);
+    }
+  }
+}
+
+async function documentChunkIds(pb, documentId) {
+  const records = await pb.collection(CHUNKS).getFullList(500, { filter: `document = "${documentId}"`, fields: 'id' });
+  return records.map(r => r.id);
+}
+
+// Stored file of a document as text
+async function fetchDocumentText(pb, record) {
+  const token = await pb.files.getToken().catch(() => '');
+  const res = await fetch(pb.files.getURL(record, record.file, token ? { token } : {}));
+  if (!res.ok) throw httpError(502, `Failed to read stored file (${res.status})`);
+  return res.text();
+}
+
+/**
+ * Chunk and embed a document's text, replacing its stored chunks
+ * The old chunks are deleted only once the new ones are stored, so a failed
+ * embedding keeps the document searchable as before.
+ * The document ends up `indexed`, or `failed` with the error.
+ * @returns {Promise<Object>} - The updated document record
+ */
+async function indexDocument(pb, record, text) {
+  const embedModel = config.openrouter.embedModel;
+  const created = [];
+  try {
+    const chunks = chunkText(text);
+    if (!chunks.length) throw httpError(400, 'Document has no text');
+    const vectors = await getEmbeddingsClient().embedDocuments(chunks);
+    const previous = await documentChunkIds(pb, record.id);
+    for (let i = 0; i < chunks.length; i++) {
+      if (!vectors[i]) continue;
+      const chunk = await pb.collection(CHUNKS).create({
+        owner: record.owner,
+        document: record.id,
+        chunk_hash: chunkHash(chunks[i]),
+        text: chunks[i],
+        embedding: vectors[i],
+        embed_model: embedModel,
+        embed_dims: vectors[i].length,
+        index_version: RAG_INDEX_VERSION,
+      });
+      created.push(chunk.id);
+    }
+    await deleteChunks(pb, previous);
+    console.log(`[Knowledge] Indexed "${record.name}": ${created.length} chunks`);
+    return await pb.collection(DOCUMENTS).update(record.id, {
+      status: KnowledgeStatus.INDEXED,
+      chunk_count: created.length,
+      embed_model: embedModel,
+      indexed_at: new Date().toISOString(),
+      error: '',
+    });
+  } catch (e) {
+    console.warn(`[Knowledge] Failed to index "${record.name}":`, e?.message || e);
+    // Drop a partial new set; the previous chunks stay
+    await deleteChunks(pb, created);
+    return pb.collection(DOCUMENTS).update(record.id, {
+      status: KnowledgeStatus.FAILED,
+      error: String(e?.message || e).slice(0, 500),
+    });
+  } finally {
+    invalidateKnowledgeCache(record.owner);
+  }
+}
+
+export async function listDocuments(pb, ownerId) {
+  const records = await pb.collection(DOCUMENTS).getFullList(500, {
+    filter: `owner = "${ownerId}"`,
+    sort: '-created',
+  });
+  return records.map(formatDocument);
+}
+
+/**
+ * Store uploaded files and index them
+ * Only text files up to KNOWLEDGE_MAX_FILE_BYTES are accepted; the whole
+ * upload is rejected (400, or 413 for size) when one is not. The route's
+ * multer limits already stop larger files; the check here covers other callers.
+ * @param {Object[]} files - multer files ({ originalname, mimetype, size, buffer })
+ * @returns {Promise<Object[]>} - The new documents, `indexed` or `failed`
+ */
+export async function addDocuments(pb, ownerId, files) {
+  const { maxFileBytes } = config.knowledge;
+  for (const f of files) {
+    if (!isTextLikeFile(f)) throw httpError(400, `Only text files can be added to the knowledge base: ${f.originalname}`);
+    if (maxFileBytes && f.size > maxFileBytes) throw httpError(413, `${f.originalname} is larger than ${maxFileBytes} bytes`);
+  }
+
+  const documents = [];
+  for (const f of files) {
+    const form = new FormData();
+    form.append('owner', ownerId);
+    form.append('name', f.originalname || 'document.txt');
+    form.append('mimetype', f.mimetype || 'text/plain');
+    form.append('size', String(f.size ?? f.buffer.length));
+    form.append('status', KnowledgeStatus.INDEXING);
+    form.append('file', new Blob([f.buffer], { type: f.mimetype || 'text/plain' }), f.originalname || 'document.txt');
+    const record = await pb.collection(DOCUMENTS).create(form);
+    documents.push(formatDocument(await indexDocument(pb, record, Buffer.from(f.buffer).toString('utf-8'))));
+  }
+  return documents;
+}
+
+/**
+ * Embed a stored document again from its file (e.g. after EMBED_MODEL changed)
+ */
+export async function reindexDocument(pb, ownerId, id) {
+  const record = await getOwnedDocument(pb, ownerId, id);
+  let text;
+  try {
+    text = await fetchDocumentText(pb, record);
+  } catch (e) {
+    await pb.collection(DOCUMENTS).update(record.id, { status: KnowledgeStatus.FAILED, error: e.message });
+    throw e;
+  }
+  return formatDocument(await indexDocument(pb, record, text));
+}
+
+export async function reindexAllDocuments(pb, ownerId) {
+  const records = await pb.collection(DOCUMENTS).getFullList(500, { filter: `owner = "${ownerId}"`, sort: 'created' });
+  const documents = [];
+  for (const r of records) {
+    documents.push(await reindexDocument(pb, ownerId, r.id).catch(() => formatDocument({ ...r, status: KnowledgeStatus.FAILED })));
+  }
+  return documents;
+}
+
+export async function deleteDocument(pb, ownerId, id) {
+  const record = await getOwnedDocument(pb, ownerId, id);
+  await deleteChunks(pb, await documentChunkIds(pb, record.id));
+  await pb.collection(DOCUMENTS).delete(record.id);
+  invalidateKnowledgeCache(ownerId);
+}
+
+// Re-index documents whose chunks were embedded with another model, one at a time
+function queueReindex(pb, ownerId, documentIds) {
+  const ids = documentIds.filter(id => !reindexing.has(id));
+  if (!ids.length) return;
+  ids.forEach(id => reindexing.add(id));
+  console.log(`[Knowledge] Re-indexing ${ids.length} documents from another embedding model`);
+  (async () => {
+    for (const id of ids) {
+      await reindexDocument(pb, ownerId, id).catch(e => console.warn('[Knowledge] Re-index failed:', e?.message || e));
+      reindexing.delete(id);
+    }
+  })();
+}
+
+// Current chunks of an owner, from the cache or PocketBase
+async function loadOwnerIndex(pb, ownerId) {
+  const cached = ownerIndexes.get(ownerId);
+  if (cached && Date.now() - cached.loadedAt < config.knowledge.cacheTtlMs) return cached;
+
+  const index = { chunks: [], names: new Map(), loadedAt: Date.now() };
+  try {
+    const documents = await pb.collection(DOCUMENTS).getFullList(500, { filter: `owner = "${ownerId}"`, fields: 'id,name,status' });
+    if (documents.length) {
+      for (const d of documents) index.names.set(d.id, d.name);
+      // A failed re-index would fail again on every reload; those wait for POST /reindex
+      const requeue = new Set(documents.filter(d => d.status !== KnowledgeStatus.FAILED).map(d => d.id));
+      const records = await pb.collection(CHUNKS).getFullList(500, {
+        filter: `owner = "${ownerId}"`,
+        fields: 'id,document,text,embedding,embed_model,index_version',
+      });
+      const stale = new Set();
+      for (const r of records) {
+        if (isCurrent(r)) index.chunks.push({ documentId: r.document, text: r.text, embedding: r.embedding });
+        else stale.add(r.document);
+      }
+      if (stale.size) queueReindex(pb, ownerId, [...stale].filter(id => requeue.has(id)));
+    }
+  } catch (e) {
+    console.warn('[Knowledge] Knowledge base unavailable:', e?.message || e);
+  }
+  ownerIndexes.set(ownerId, index);
+  return index;
+}
+
+/**
+ * Chunks of the owner's knowledge base most similar to the query
+ * Nothing is embedded when the owner has no documents.
+ * @param {Object} options
+ * @param {number[]} [options.queryVector] - The query's embedding, when the caller already has it
+ * @returns {Promise<Object[]>} - [{ text, sim, documentId, documentName }], best first,
+ *   at most KNOWLEDGE_TOP_K and at least KNOWLEDGE_MIN_SIMILARITY similar
+ */
+export async function retrieveKnowledge({ pb, ownerId, query, queryVector = null, topK = config.knowledge.topK, minSimilarity = config.knowledge.minSimilarity }) {
+  if (!ownerId || topK <= 0) return [];
+  const index = await loadOwnerIndex(pb, ownerId);
+  if (!index.chunks.length) return [];
+
+  let qVec = queryVector;
+  if (!qVec) {
+    const q = String(query || '').replace(/\s+/g, ' ').trim();
+    if (!q) return [];
+    try {
+      qVec = await getEmbeddingsClient().embedQuery(q);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  return index.chunks
+    .map(c => ({ chunk: c, sim: cosineSim(qVec, c.embedding) }))
+    .filter(x => x.sim >= minSimilarity)
+    .sort((a, b) => b.sim - a.sim)
+    .slice(0, topK)
+    .map(({ chunk, sim }) => ({
+      text: String(chunk.text || '').slice(0, RETRIEVAL_CHUNK_MAX_CHARS),
+      sim,
+      documentId: chunk.documentId,
+      documentName: index.names.get(chunk.documentId) || 'document',
+    }));
+}
@@ -0,0 +1,109 @@
+/**
+ * Stream event buffer
+ *
+ * Keeps the wire events of each in-flight generation under a stream id so a
+ * client that lost its connection can replay what it missed and keep tailing
+ * the live generation (GET /api/chat/stream/:streamId?after=<eventIndex>).
+ * Process-local, like the generation registry.
+ */
+
+import { randomUUID } from 'node:crypto';
+import config from '../config/config.js';
+
+// streamId -> stream buffer
+const streams = new Map();
+
+/**
+ * Create and register a buffer for one generation
+ * @param {Object} options
+ * @param {string} options.userId - Owner (only they may resume)
+ * @param {Function} [options.onAbandoned] - Called when no client has been attached for resumeGraceMs
+ * @returns {Object} - { streamId, userId, done, push, eventsAfter, subscribe, attach, detach, complete }
+ */
+export function createStreamBuffer({ userId = null, onAbandoned = null } = {}) {
+  const streamId = randomUUID();
+  const events = []; // [{ id, event }], id = 1-based event index
+  const listeners = new Set();
+  let attached = 0;
+  let done = false;
+  let abandonTimer = null;
+
+  function clearAbandonTimer() {
+    if (abandonTimer) clearTimeout(abandonTimer);
+    abandonTimer = null;
+  }
+
+  const buffer = {
+    streamId,
+    userId,
+    get done() {
+      return done;
+    },
+
+    /**
+     * Append a wire event and fan it out to tailing clients
+     * @returns {Object} - { id, event }
+     */
+    push(event) {
+      const entry = { id: events.length + 1, event };
+      events.push(entry);
+      for (const listener of listeners) listener.onEvent?.(entry);
+      return entry;
+    },
+
+    eventsAfter(index = 0) {
+      return events.slice(Math.max(0, index));
+    },
+
+    /**
+     * Tail live events; returns an unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // A client is reading this stream (origin request or a resume)
+    attach() {
+      attached += 1;
+      clearAbandonTimer();
+    },
+
+    // A client went away; abandon the generation if nobody comes back in time
+    detach() {
+      attached = Math.max(0, attached - 1);
+      if (attached > 0 || done || !onAbandoned) return;
+      clearAbandonTimer();
+      abandonTimer = setTimeout(() => {
+        abandonTimer = null;
+        if (attached === 0 && !done) onAbandoned();
+      }, Math.max(0, config.stream.resumeGraceMs));
+      abandonTimer.unref?.();
+    },
+
+    /**
+     * Mark the generation finished; keep events around for late resumes
+     */
+    complete() {
+      if (done) return;
+      done = true;
+      clearAbandonTimer();
+      for (const listener of listeners) listener.onDone?.();
+      listeners.clear();
+      const ttl = setTimeout(() => streams.delete(streamId), config.stream.replayTtlMs);
+      ttl.unref?.();
+    },
+  };
+
+  streams.set(streamId, buffer);
+  return buffer;
+}
+
+/**
+ * Look up a stream owned by userId
+ */
+export function getStreamBuffer(streamId, userId) {
+  const buffer = streams.get(streamId);
+  if (!buffer || buffer.userId !== userId) return null;
+  return buffer;
+}
@@ -0,0 +1,98 @@
+/**
+ * Per-turn summaries
+ *
+ * Every turn stores a short `summary` of its exchange (per answer variant),
+ * and long-term memory is assembled from these instead of re-summarizing the
+ * whole history. The unified endpoint gets it from the model's summary block;
+ * every other turn is summarized here, in the background, with the lightweight
+ * model. Jobs run one at a time; the queue is process-local, but the results
+ * live on the turn records, so restarts and other instances reuse them.
+ */
+
+import { ChatOpenAI } from "@langchain/openai";
+import { invalidateTurnCache } from "../memory/cache.js";
+import config from "../config/config.js";
+
+const MAX_USER_CHARS = 2000;
+const MAX_ASSISTANT_CHARS = 4000;
+
+// `${turnId}:${variantIndex}` of queued or running jobs
+const pending = new Set();
+let queue = Promise.resolve();
+
+/**
+ * Clean up a summary for storage (single line, capped)
+ */
+export function normalizeTurnSummary(summary) {
+  const text = String(summary || "").replace(/\s+/g, " ").trim();
+  return text ? text.slice(0, config.memory.turnSummaryMaxChars).trim() : null;
+}
+
+/**
+ * Summarize one user/assistant exchange in 1-2 sentences
+ */
+export async function summarizeExchange({ userText, assistantText }) {
+  const { apiKey, baseUrl, models } = config.openrouter;
+  const llm = new ChatOpenAI({
+    apiKey,
+    model: models.lightweight,
+    temperature: 0,
+    maxTokens: 120,
+    configuration: {
+      baseURL: baseUrl,
+      defaultHeaders: {
+        "HTTP-Referer": config.appBaseUrl,
+        "X-Title": "Thirra AI",
+      },
+    },
+  });
+
+  const response = await llm.invoke([
+    ["system", "Summarize this exchange in 1-2 sentences for long-term memory. Keep names, numbers, decisions and user preferences. Return only the summary."],
+    ["human", `User: ${String(userText || "").slice(0, MAX_USER_CHARS)}\n\nAssistant: ${String(assistantText || "").slice(0, MAX_ASSISTANT_CHARS)}`],
+  ]);
+  const content = typeof response?.content === "string" ? response.content : JSON.stringify(response?.content ?? "");
+  return normalizeTurnSummary(content);
+}
+
+// Summarize variant `variantIndex` of a turn and store it
+async function runTurnSummary(pb, turnId, variantIndex) {
+  const turn = await pb.collection("turns").getOne(turnId);
+  const variant = Array.isArray(turn.variants) ? turn.variants[variantIndex] : null;
+  const assistantText = variant ? variant.assistant_text : turn.assistant_text;
+  const existing = variant ? variant.summary : turn.summary;
+  if (!assistantText || existing) return;
+
+  const summary = await summarizeExchange({ userText: turn.user_text, assistantText });
+  if (!summary) return;
+
+  // Re-read: variants may have been added or switched while the model ran
+  const fresh = await pb.collection("turns").getOne(turnId);
+  const variants = Array.isArray(fresh.variants) ? [...fresh.variants] : [];
+  const patch = {};
+  if (variants[variantIndex]) {
+    variants[variantIndex] = { ...variants[variantIndex], summary };
+    patch.variants = variants;
+  }
+  if ((Number(fresh.active_variant ?? 0) || 0) === variantIndex) patch.summary = summary;
+  await pb.collection("turns").update(turnId, patch);
+  invalidateTurnCache(fresh.conversation);
+}
+
+/**
+ * Queue a background summary for a turn's answer variant (no-op if disabled or already queued)
+ * @param {Object} pb - PocketBase client allowed to update the turn
+ * @param {string} turnId
+ * @param {number} [variantIndex] - Variant to summarize (default: 0)
+ */
+export function queueTurnSummary(pb, turnId, variantIndex = 0) {
+  if (!config.memory.turnSummaries || !pb || !turnId) return;
+  const key = `${turnId}:${variantIndex}`;
+  if (pending.has(key)) return;
+  pending.add(key);
+
+  queue = queue
+    .then(() => runTurnSummary(pb, turnId, variantIndex))
+    .catch((e) => console.warn(`[TurnSummary] Failed for turn ${turnId}:`, e?.message || e))
+    .finally(() => pending.delete(key));
+}
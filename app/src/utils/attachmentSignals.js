@@ -0,0 +1,108 @@
+/**
+ * Attachment signals for routing
+ *
+ * Describes uploaded files by metadata and a sample of their text, so the
+ * router can tell a one-word prompt with a large .py file from small talk:
+ * - kind per file (code, document, image, other) from extension and mime type
+ * - size and line count
+ * - code-fence blocks and the share of code-like lines in text attachments
+ * The description feeds the local heuristics (utils/routeHeuristics.js), the
+ * keyword fallback and the classifier prompt (utils/queryRouter.js).
+ */
+
+export const CODE_FILE = /\.(js|jsx|ts|tsx|mjs|cjs|py|java|kt|go|rs|rb|php|c|cc|cpp|h|hpp|cs|swift|sql|sh|ps1|json|ya?ml|toml|xml|html|css|scss|ipynb)$/i;
+export const DOCUMENT_FILE = /\.(pdf|docx?|odt|rtf|pptx?|xlsx?|csv|tsv|md|txt)$/i;
+export const CODE_LINE = /(^|\n)\s*(def |class |function |const |let |import |from \S+ import|#include|public static|SELECT .+ FROM)|=>|\)\s*\{|;\s*\n/i;
+
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|bmp|svg|heic)$/i;
+const TEXT_MIME = /^text\/|json|xml|yaml|csv|markdown|javascript|typescript|x-python|x-sh/;
+const CODE_FENCE_LINE = /^\s*```/;
+
+// Only the start of each text attachment is inspected
+const SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Attachment kinds
+ */
+export const AttachmentKind = {
+  CODE: 'code',
+  DOCUMENT: 'document',
+  IMAGE: 'image',
+  OTHER: 'other',
+};
+
+function kindOf(name, mimetype) {
+  if (IMAGE_FILE.test(name) || mimetype.startsWith('image/')) return AttachmentKind.IMAGE;
+  if (CODE_FILE.test(name)) return AttachmentKind.CODE;
+  if (DOCUMENT_FILE.test(name) || /pdf|word|sheet|presentation|csv/.test(mimetype)) return AttachmentKind.DOCUMENT;
+  return AttachmentKind.OTHER;
+}
+
+// Code fences and code-like lines in the sampled text of a file
+function inspectText(file, name, mimetype, kind) {
+  const isText = kind !== AttachmentKind.IMAGE && (TEXT_MIME.test(mimetype) || CODE_FILE.test(name) || /\.(md|txt|csv|tsv)$/i.test(name));
+  if (!isText || !file?.buffer) return { lines: null, codeFences: 0, codeLineRatio: 0 };
+  const text = Buffer.from(file.buffer).subarray(0, SAMPLE_BYTES).toString('utf-8');
+  const lines = text.split('\n');
+  const nonEmpty = lines.filter(l => l.trim());
+  const codeFences = Math.floor(lines.filter(l => CODE_FENCE_LINE.test(l)).length / 2);
+  const codeLines = nonEmpty.filter(l => CODE_LINE.test(`\n${l}\n`)).length;
+  const sampled = file.buffer.length > SAMPLE_BYTES;
+  return {
+    // Line count of the whole file, extrapolated when only a sample was read
+    lines: sampled ? Math.round(lines.length * (file.buffer.length / SAMPLE_BYTES)) : lines.length,
+    codeFences,
+    codeLineRatio: nonEmpty.length ? Math.round((codeLines / nonEmpty.length) * 100) / 100 : 0,
+  };
+}
+
+/**
+ * Describe a request's attachments
+ * @param {Object[]} files - multer files ({ originalname, mimetype, size, buffer }) or { originalname, mimetype }
+ * @returns {Object|null} - { count, totalBytes, hasImage, kinds: { [kind]: count }, files: [{ name, kind, bytes, lines, codeFences, codeLineRatio }] },
+ *   null without attachments
+ */
+export function describeAttachments(files = []) {
+  const list = Array.isArray(files) ? files.filter(Boolean) : [];
+  if (!list.length) return null;
+
+  const described = list.map((file) => {
+    const name = file.originalname || file.name || 'attachment';
+    const mimetype = String(file.mimetype || '').toLowerCase();
+    const kind = kindOf(name, mimetype);
+    const bytes = Number(file.size ?? file.buffer?.length ?? 0) || 0;
+    return { name, kind, bytes, ...inspectText(file, name, mimetype, kind) };
+  });
+
+  const kinds = {};
+  for (const f of described) kinds[f.kind] = (kinds[f.kind] || 0) + 1;
+  return {
+    count: described.length,
+    totalBytes: described.reduce((sum, f) => sum + f.bytes, 0),
+    hasImage: !!kinds[AttachmentKind.IMAGE],
+    kinds,
+    files: described,
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * One line per attachment for the classifier prompt ('' without attachments)
+ */
+export function formatAttachmentsForPrompt(attachments) {
+  if (!attachments?.count) return '';
+  const lines = attachments.files.slice(0, 10).map((f) => {
+    const details = [f.kind, formatBytes(f.bytes)];
+    if (f.lines) details.push(`${f.lines} lines`);
+    if (f.codeFences) details.push(`${f.codeFences} code blocks`);
+    if (f.codeLineRatio >= 0.2) details.push(`${Math.round(f.codeLineRatio * 100)}% code-like lines`);
+    return `- ${f.name} (${details.join(', ')})`;
+  });
+  if (attachments.count > 10) lines.push(`- ... ${attachments.count - 10} more`);
+  return `${attachments.count} file(s), ${formatBytes(attachments.totalBytes)} total:\n${lines.join('\n')}`;
+}
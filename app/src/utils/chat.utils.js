@@ -2,6 +2,29 @@ export function isValidPrompt(prompt) {
   return typeof prompt === 'string' && prompt.trim().length > 0;
 }
 
+// Variant list as returned to clients (index = position used to select it)
+export function formatTurnVariants(turn) {
+  const variants = Array.isArray(turn.variants) ? turn.variants : [];
+  return variants.map((v, index) => ({
+    index,
+    assistant_text: v.assistant_text,
+    model: v.model || null,
+    category: v.category || null,
+    route_source: v.route_source || null,
+    temperature: v.temperature ?? null,
+    model_fallbacks: v.model_fallbacks || [],
+    routing: v.routing || null,
+    usage: v.usage || {},
+    cost_usd: v.cost_usd ?? null,
+    cost_breakdown: v.cost_breakdown || [],
+    interrupt_reason: v.interrupt_reason || null,
+    summary: v.summary || null,
+    reasoning_text: v.reasoning_text || null,
+    reasoning_tokens: v.reasoning_tokens ?? null,
+    created: v.created,
+  }));
+}
+
 export function formatChatResponse(conversation, turn) {
   return {
     conversation: {
@@ -16,6 +39,20 @@ export function formatChatResponse(conversation, turn) {
       assistant_text: turn.assistant_text,
       user_attachments: turn.user_attachments || [],
       assistant_attachments: turn.assistant_attachments || [],
+      interrupted: !!turn.interrupted,
+      interrupt_reason: turn.interrupt_reason || null,
+      model: turn.model || null,
+      category: turn.category || null,
+      route_source: turn.route_source || null,
+      routing: turn.routing || null,
+      cost_usd: Number(turn.cost_usd ?? 0) || 0,
+      variants: formatTurnVariants(turn),
+      active_variant: Number(turn.active_variant ?? 0) || 0,
+      compare: turn.compare || null,
+      parent: turn.parent || null,
+      summary: turn.summary || null,
+      reasoning_text: turn.reasoning_text || null,
+      reasoning_tokens: turn.reasoning_tokens || null,
       created: turn.created,
       updated: turn.updated,
     },
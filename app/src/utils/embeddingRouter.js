@@ -0,0 +1,152 @@
+/**
+ * Embedding-based routing
+ *
+ * Nearest-centroid classifier: each routing category's labelled `examples`
+ * (see utils/routingTable.js) are embedded with getEmbeddingsClient() and
+ * averaged into a centroid; a query goes to the category whose centroid is
+ * most similar. No chat-model call is needed.
+ *
+ * Centroids are built lazily on first use and rebuilt when the routing table
+ * is reloaded. ROUTING_CENTROIDS can point at a JSON file fitted offline
+ * (dev/fitCentroids.js, e.g. from labelled or thumbs-up data):
+ *   { "embedModel": "...", "categories": { "<name>": { "centroid": [...], "count": 42 } } }
+ * A file made with a different embedding model is ignored.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getEmbeddingsClient } from './embeddingsClient.js';
+import { getRoutingTable } from './routingTable.js';
+import { cosineSim } from './rag.js';
+import config from '../config/config.js';
+
+// { version, centroids: Map<category, number[]>, source } for the active routing table
+let fitted = null;
+let fitting = null;
+
+function tableVersion() {
+  const { source, loadedAt } = getRoutingTable();
+  return `${source}@${loadedAt}:${config.openrouter.embedModel}`;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Mean of unit-length vectors, itself unit length
+ */
+export function centroidOf(vectors) {
+  if (!vectors.length) return null;
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const v of vectors.map(normalize)) {
+    for (let i = 0; i < sum.length; i++) sum[i] += v[i];
+  }
+  return normalize(sum);
+}
+
+/**
+ * Fit centroids from labelled queries
+ * @param {Object[]} labelled - [{ query, category }]
+ * @param {Object} [embeddings] - LangChain embeddings client (default: getEmbeddingsClient())
+ * @returns {Promise<Object>} - { embedModel, categories: { [name]: { centroid, count } } }
+ */
+export async function fitCentroids(labelled, embeddings = getEmbeddingsClient()) {
+  const usable = labelled.filter(l => l?.query && l?.category);
+  const vectors = usable.length ? await embeddings.embedDocuments(usable.map(l => l.query)) : [];
+  const byCategory = new Map();
+  usable.forEach((l, i) => {
+    if (!byCategory.has(l.category)) byCategory.set(l.category, []);
+    byCategory.get(l.category).push(vectors[i]);
+  });
+  const categories = {};
+  for (const [name, list] of byCategory) {
+    categories[name] = { centroid: centroidOf(list), count: list.length };
+  }
+  return { embedModel: config.openrouter.embedModel, categories };
+}
+
+// Centroids from ROUTING_CENTROIDS, or null when unset or made with another model
+async function loadCentroidFile() {
+  const filePath = config.routing.embedding.centroidsPath;
+  if (!filePath) return null;
+  const data = JSON.parse(await readFile(path.resolve(filePath), 'utf-8'));
+  if (data?.embedModel !== config.openrouter.embedModel) {
+    console.warn(`[EmbeddingRouter] Ignoring ${filePath}: fitted with ${data?.embedModel}, active model is ${config.openrouter.embedModel}`);
+    return null;
+  }
+  return data;
+}
+
+async function buildCentroids() {
+  const names = new Set(getRoutingTable().categories.map(c => c.name));
+  let data = null;
+  let source = 'examples';
+  try {
+    data = await loadCentroidFile();
+    if (data) source = config.routing.embedding.centroidsPath;
+  } catch (e) {
+    console.warn('[EmbeddingRouter] Failed to read centroid file:', e?.message || e);
+  }
+  if (!data) {
+    const labelled = getRoutingTable().categories.flatMap(c => c.examples.map(query => ({ query, category: c.name })));
+    data = await fitCentroids(labelled);
+  }
+
+  // Only categories of the active table can be routed to
+  const centroids = new Map(
+    Object.entries(data.categories || {})
+      .filter(([name, c]) => names.has(name) && Array.isArray(c?.centroid))
+      .map(([name, c]) => [name, c.centroid]),
+  );
+  console.log(`[EmbeddingRouter] ${centroids.size} centroids from ${source}`);
+  return { version: tableVersion(), centroids, source };
+}
+
+/**
+ * Centroids for the active routing table (built once per table/embedding model)
+ */
+export async function getCentroids() {
+  const version = tableVersion();
+  if (fitted?.version === version) return fitted;
+  if (!fitting) {
+    fitting = buildCentroids()
+      .then((result) => {
+        fitted = result;
+        return result;
+      })
+      .finally(() => {
+        fitting = null;
+      });
+  }
+  return fitting;
+}
+
+export function clearCentroids() {
+  fitted = null;
+}
+
+/**
+ * Nearest-centroid category for a query
+ * @returns {Promise<Object|null>} - { category, confidence, similarity, classifierModel, classifierLatency },
+ *   or null when fewer than two categories have centroids. confidence is the cosine margin over the runner-up.
+ */
+export async function classifyByEmbedding(query) {
+  const startTime = Date.now();
+  const { centroids } = await getCentroids();
+  if (centroids.size < 2) return null;
+
+  const vector = await getEmbeddingsClient().embedQuery(String(query || '').replace(/\s+/g, ' ').trim());
+  const ranked = [...centroids.entries()]
+    .map(([category, centroid]) => ({ category, similarity: cosineSim(vector, centroid) }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  return {
+    category: ranked[0].category,
+    confidence: Math.round((ranked[0].similarity - ranked[1].similarity) * 1000) / 1000,
+    similarity: Math.round(ranked[0].similarity * 1000) / 1000,
+    classifierModel: config.openrouter.embedModel,
+    classifierLatency: Date.now() - startTime,
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Model fallback chain
+ *
+ * A turn is answered by the routed model, then by the category's
+ * `fallbackModels` in order (see utils/routingTable.js). Retryable provider
+ * failures (429, 5xx, timeouts, dropped connections) that happen before the
+ * first response chunk are retried on the same model with exponential backoff,
+ * up to config.routing.retry.attempts tries, before moving to the next model.
+ * Once output has started, or on any other error, the failure is final.
+ */
+
+import config from '../config/config.js';
+
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Models to try for a route, primary first, without duplicates
+ */
+export function buildModelChain(route) {
+  return [...new Set([route.model, ...(route.fallbackModels || [])].filter(Boolean))];
+}
+
+// HTTP status of a provider error (OpenAI SDK, LangChain or fetch shapes)
+function errorStatus(error) {
+  return Number(error?.status ?? error?.response?.status ?? error?.error?.code) || null;
+}
+
+/**
+ * Short reason for a failure, used in logs and `model_fallback` events
+ */
+export function describeFailure(error) {
+  const status = errorStatus(error);
+  if (status) return `HTTP ${status}`;
+  if (error?.code) return error.code;
+  if (/timeout|timed out/i.test(error?.name || '') || /timeout|timed out/i.test(error?.message || '')) return 'timeout';
+  return error?.message || 'unknown error';
+}
+
+/**
+ * Whether a failure is worth retrying (rate limit, server error, timeout, network)
+ */
+export function isRetryableError(error) {
+  const status = errorStatus(error);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  if (RETRYABLE_CODES.has(error?.code) || RETRYABLE_CODES.has(error?.cause?.code)) return true;
+  const text = `${error?.name || ''} ${error?.message || ''}`;
+  return /timeout|timed out|APIConnectionError|socket hang up|network|fetch failed/i.test(text);
+}
+
+/**
+ * Next step after a failed attempt
+ * @param {string[]} chain - Result of buildModelChain()
+ * @param {number} modelIndex - Index of the model that failed
+ * @param {number} attempt - 1-based try of that model that failed
+ * @returns {Object|null} - { modelIndex, attempt, delayMs }, or null when the chain is exhausted
+ */
+export function nextAttempt(chain, modelIndex, attempt) {
+  const { attempts, baseDelayMs, maxDelayMs } = config.routing.retry;
+  if (attempt < Math.max(1, attempts)) {
+    return { modelIndex, attempt: attempt + 1, delayMs: Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs) };
+  }
+  if (modelIndex + 1 < chain.length) {
+    return { modelIndex: modelIndex + 1, attempt: 1, delayMs: 0 };
+  }
+  return null;
+}
+
+/**
+ * Wait `ms`, resolving early when `signal` aborts
+ */
+export function backoff(ms, signal = null) {
+  if (!ms || signal?.aborted) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
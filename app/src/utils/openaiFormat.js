@@ -0,0 +1,176 @@
+/**
+ * OpenAI Chat Completions wire format
+ *
+ * Translates between the OpenAI API shapes used by /v1 and Thirra's
+ * pipeline: request messages in, `chat.completion` / `chat.completion.chunk`
+ * objects out. Virtual `thirra/*` model ids select routing instead of a model.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { getRoutingTable, getCategoryNames } from './routingTable.js';
+import { isOverrideAllowed } from './routeOverride.js';
+import config from '../config/config.js';
+
+/**
+ * Virtual model that lets the router pick the model
+ */
+export const AUTO_MODEL = 'thirra/auto';
+const CATEGORY_MODEL_PREFIX = 'thirra/';
+
+/**
+ * Models exposed by GET /v1/models: the router, one alias per routing category, then the category and configured models
+ */
+export function listModels() {
+  const { models, defaultModel } = config.openrouter;
+  const { categories } = getRoutingTable();
+  const virtual = [AUTO_MODEL, ...categories.map(c => CATEGORY_MODEL_PREFIX + c.name)];
+  const real = [...new Set([
+    ...categories.flatMap(c => [c.model, ...c.fallbackModels]),
+    models.lightweight,
+    defaultModel,
+  ].filter(Boolean))];
+  return [
+    ...virtual.map(id => ({ id, object: 'model', created: 0, owned_by: 'thirra' })),
+    ...real.map(id => ({ id, object: 'model', created: 0, owned_by: id.split('/')[0] || 'openrouter' })),
+  ];
+}
+
+/**
+ * Override implied by a listed model id (null = route automatically)
+ */
+function modelOverride(id) {
+  if (id === AUTO_MODEL) return null;
+  if (id.startsWith(CATEGORY_MODEL_PREFIX)) return { category: id.slice(CATEGORY_MODEL_PREFIX.length) };
+  return { model: id };
+}
+
+/**
+ * Models a user may request (allowlisted by role, see utils/routeOverride.js)
+ */
+export function listModelsForUser(user) {
+  return listModels().filter(m => isOverrideAllowed(user, modelOverride(m.id)));
+}
+
+/**
+ * Map a requested model id to a streamAIResponse routeOverride (null = route automatically)
+ * Throws 404 for ids not listed by listModels()
+ */
+export function resolveRequestedModel(model) {
+  if (!model || model === AUTO_MODEL) return null;
+  if (model.startsWith(CATEGORY_MODEL_PREFIX)) {
+    const category = model.slice(CATEGORY_MODEL_PREFIX.length);
+    if (getCategoryNames().includes(category)) return { category };
+  } else if (listModels().some(m => m.id === model)) {
+    return { model };
+  }
+  const err = new Error(`The model '${model}' does not exist`);
+  err.status = 404;
+  err.code = 'model_not_found';
+  throw err;
+}
+
+// Text of an OpenAI message content (string or content parts; non-text parts are dropped)
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.type === 'text' ? part.text || '' : ''))
+      .join('');
+  }
+  return '';
+}
+
+/**
+ * Split an OpenAI `messages` array into what the pipeline needs
+ * @returns {Object} - { prompt, instruction, history } where prompt is the last user
+ *   message, instruction joins the system messages and history holds the earlier turns
+ */
+export function parseChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    const err = new Error('messages must be a non-empty array');
+    err.status = 400;
+    throw err;
+  }
+
+  const last = messages[messages.length - 1];
+  const prompt = contentText(last?.content);
+  if (last?.role !== 'user' || !prompt.trim()) {
+    const err = new Error('The last message must be a non-empty user message');
+    err.status = 400;
+    throw err;
+  }
+
+  const instructions = [];
+  const history = [];
+  for (const m of messages.slice(0, -1)) {
+    const text = contentText(m?.content);
+    if (m?.role === 'system' || m?.role === 'developer') instructions.push(text);
+    else if (m?.role === 'user') history.push(new HumanMessage(text));
+    else if (m?.role === 'assistant' && text) history.push(new AIMessage(text));
+  }
+
+  return { prompt, instruction: instructions.filter(Boolean).join('\n\n') || null, history };
+}
+
+export function completionId() {
+  return `chatcmpl-${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Thirra usage ({ promptTokens, ... }) as an OpenAI usage object
+ */
+export function toOpenAIUsage(usage = {}) {
+  const prompt = Number(usage?.promptTokens ?? 0) || 0;
+  const completion = Number(usage?.completionTokens ?? 0) || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: Number(usage?.totalTokens ?? prompt + completion) || 0,
+    completion_tokens_details: { reasoning_tokens: Number(usage?.reasoningTokens ?? 0) || 0 },
+  };
+}
+
+/**
+ * Non-streaming response body
+ */
+export function completionResponse({ id, created, model, content, usage, finishReason = 'stop' }) {
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+    usage: toOpenAIUsage(usage),
+  };
+}
+
+/**
+ * One streamed chunk; `delta` null with `usage` gives the trailing usage chunk
+ */
+export function completionChunk({ id, created, model, delta = {}, finishReason = null, usage = null }) {
+  const chunk = {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: delta ? [{ index: 0, delta, finish_reason: finishReason }] : [],
+  };
+  if (usage) chunk.usage = toOpenAIUsage(usage);
+  return chunk;
+}
+
+/**
+ * OpenAI-style error body
+ */
+export function openAIError(err) {
+  const status = err?.status || 500;
+  return {
+    error: {
+      message: err?.message || 'Server error',
+      type: status >= 500 ? 'server_error' : 'invalid_request_error',
+      param: null,
+      code: err?.code || null,
+    },
+  };
+}
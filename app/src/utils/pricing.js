@@ -0,0 +1,126 @@
+/**
+ * Model pricing
+ *
+ * USD prices per million tokens, keyed by OpenRouter model id. The built-in
+ * table holds list prices of the models configured by default; MODEL_PRICING
+ * (JSON, same shape) adds models or overrides single prices:
+ *   { "openai/gpt-5": { "prompt": 1.25, "completion": 10, "reasoning": 10 } }
+ * Reasoning tokens are part of the completion tokens and are billed at the
+ * `reasoning` price (default: the completion price). Models without a price
+ * cost null (unknown) rather than 0.
+ */
+
+import config from '../config/config.js';
+
+const PRICE_KEYS = ['prompt', 'completion', 'reasoning'];
+
+// List prices (USD / 1M tokens); check openrouter.ai/models when updating defaults
+const BUILT_IN_PRICES = {
+  'anthropic/claude-sonnet-4.5': { prompt: 3, completion: 15 },
+  'deepseek/deepseek-chat-v3.1': { prompt: 0.2, completion: 0.8 },
+  'openai/gpt-5': { prompt: 1.25, completion: 10 },
+  'openai/gpt-5-mini': { prompt: 0.25, completion: 2 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'google/gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+  'openai/text-embedding-3-large': { prompt: 0.13, completion: 0 },
+};
+
+/**
+ * Validate MODEL_PRICING and merge it over the built-in table
+ * Throws one error listing every problem (checked at startup)
+ */
+export function buildPricingTable(overrides = {}) {
+  const problems = [];
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    problems.push('must be an object keyed by model id');
+  }
+  const table = Object.fromEntries(Object.entries(BUILT_IN_PRICES).map(([id, p]) => [id, { ...p }]));
+  for (const [model, prices] of Object.entries(problems.length ? {} : overrides)) {
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      problems.push(`${model}: must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(prices)) {
+      if (!PRICE_KEYS.includes(key)) problems.push(`${model}: unknown key "${key}"`);
+      else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) problems.push(`${model}.${key}: must be a non-negative number`);
+    }
+    table[model] = { ...table[model], ...prices };
+  }
+  for (const [model, prices] of Object.entries(table)) {
+    if (prices.prompt === undefined || prices.completion === undefined) {
+      problems.push(`${model}: needs both prompt and completion prices`);
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid MODEL_PRICING:\n- ${problems.join('\n- ')}`);
+  }
+  return table;
+}
+
+const pricingTable = buildPricingTable(config.pricing.overrides);
+const unpriced = new Set();
+
+/**
+ * Prices of a model ({ prompt, completion, reasoning } per 1M tokens), or null
+ */
+export function getModelPrice(model) {
+  const prices = model ? pricingTable[model] : null;
+  if (!prices) {
+    if (model && !unpriced.has(model)) {
+      unpriced.add(model);
+      console.warn(`[Pricing] No price for ${model} - add it to MODEL_PRICING to track its cost`);
+    }
+    return null;
+  }
+  return { ...prices, reasoning: prices.reasoning ?? prices.completion };
+}
+
+export function getPricingTable() {
+  return pricingTable;
+}
+
+/**
+ * USD cost of one call
+ * @param {string} model - OpenRouter model id
+ * @param {Object} usage - { promptTokens, completionTokens, reasoningTokens }
+ * @returns {number|null} - null when the model has no price
+ */
+export function computeCost(model, usage = {}) {
+  const prices = getModelPrice(model);
+  if (!prices) return null;
+  const promptTokens = Number(usage?.promptTokens ?? 0) || 0;
+  const completionTokens = Number(usage?.completionTokens ?? 0) || 0;
+  const reasoningTokens = Math.min(Number(usage?.reasoningTokens ?? 0) || 0, completionTokens);
+  const cost = (
+    promptTokens * prices.prompt
+    + (completionTokens - reasoningTokens) * prices.completion
+    + reasoningTokens * prices.reasoning
+  ) / 1_000_000;
+  return roundUsd(cost);
+}
+
+export function roundUsd(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Cost breakdown of a turn's calls
+ * @param {Object[]} calls - [{ kind, model, usage }] (kind: answer, classifier, title, ...)
+ * @returns {Object} - { total, calls: [{ kind, model, promptTokens, completionTokens, reasoningTokens, cost }] }
+ *   where total only sums calls with a known price
+ */
+export function costBreakdown(calls = []) {
+  const priced = calls
+    .filter(c => c?.model && c.usage)
+    .map(({ kind, model, usage }) => ({
+      kind,
+      model,
+      promptTokens: Number(usage.promptTokens ?? 0) || 0,
+      completionTokens: Number(usage.completionTokens ?? 0) || 0,
+      reasoningTokens: Number(usage.reasoningTokens ?? 0) || 0,
+      cost: computeCost(model, usage),
+    }));
+  const total = roundUsd(priced.reduce((sum, c) => sum + (c.cost || 0), 0));
+  return { total, calls: priced };
+}
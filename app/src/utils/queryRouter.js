@@ -1,8 +1,15 @@
 import { ChatOpenAI } from "@langchain/openai";
+import { getRoutingTable, getCategory, getCategoryNames, getDefaultCategory } from "./routingTable.js";
+import { computeCost, roundUsd } from "./pricing.js";
+import { scoreQuery, scoreAttachments, attachmentCategory } from "./routeHeuristics.js";
+import { describeAttachments, formatAttachmentsForPrompt } from "./attachmentSignals.js";
+import { getCachedCategory, setCachedCategory } from "./routeCache.js";
+import { classifyByEmbedding } from "./embeddingRouter.js";
 import config from "../config/config.js";
 
 /**
- * Query classification categories for model routing
+ * Built-in query categories (the default routing table, see utils/routingTable.js)
+ * A routing config file may define any other set of categories.
  */
 export const QueryCategory = {
   CODING: 'coding',      // Programming, debugging, code review
@@ -10,11 +17,59 @@ export const QueryCategory = {
   HEAVY: 'heavy',        // Research, analysis, complex documents
 };
 
+/**
+ * Who chose the model of a turn
+ */
+export const RouteSource = {
+  ROUTER: 'router', // classifier picked the category
+  MANUAL: 'manual', // caller overrode model and/or category
+  COMPARE: 'compare', // caller asked several models (compare mode), category routed once
+};
+
+/**
+ * Routing strategies (ROUTING_STRATEGY), see decideCategory()
+ */
+export const RoutingStrategy = {
+  LLM: 'llm',
+  KEYWORD: 'keyword',
+  EMBEDDING: 'embedding',
+  HYBRID: 'hybrid',
+};
+
+/**
+ * How a routed category was decided
+ */
+export const ClassificationMethod = {
+  HEURISTIC: 'heuristic', // local scoring was confident enough, classifier skipped
+  CACHE: 'cache',         // same (normalized) query was classified before
+  EMBEDDING: 'embedding', // nearest category centroid (utils/embeddingRouter.js)
+  LLM: 'llm',             // classifier model answered with a valid category
+  KEYWORD: 'keyword',     // classifier failed, keyword fallback picked the category
+  DEFAULT: 'default',     // classifier answered with an unknown category, default used
+};
+
+// Recent history shown to the classifier (last 2 messages for efficiency)
+function formatRecentContext(conversationHistory = []) {
+  return conversationHistory.slice(-2).map(msg => 
+    `${msg._getType()}: ${msg.content}`
+  ).join('\n');
+}
+
 /**
  * Classify user query to determine optimal model
  * Uses a lightweight classifier for fast, cheap routing
  */
-export async function classifyQuery(query, conversationHistory = []) {
+export async function classifyQuery(query, conversationHistory = [], options = {}) {
+  return (await classifyQueryDetailed(query, conversationHistory, options)).category;
+}
+
+/**
+ * classifyQuery() plus how the category was decided
+ * `attachments` (describeAttachments()) are listed in the classifier prompt.
+ * Aborting `signal` cancels the classifier call (the keyword fallback answers).
+ * @returns {Promise<Object>} - { category, method, classifierModel, classifierLatency, classifierUsage }
+ */
+export async function classifyQueryDetailed(query, conversationHistory = [], { attachments = null, signal = null } = {}) {
   const { apiKey, baseUrl, models } = config.openrouter;
   
   // Create lightweight classifier
@@ -22,124 +77,236 @@ export async function classifyQuery(query, conversationHistory = []) {
     model: models.classifier,
     temperature: 0,
     maxTokens: 50,
-    openAIApiKey: apiKey,
+    apiKey,
     configuration: {
       baseURL: baseUrl,
     },
   });
 
-  // Build context from recent history (last 2 messages for efficiency)
-  const recentContext = conversationHistory.slice(-2).map(msg => 
-    `${msg._getType()}: ${msg.content}`
-  ).join('\n');
+  const recentContext = formatRecentContext(conversationHistory);
 
+  const { categories } = getRoutingTable();
   const classificationPrompt = `Classify this user query into ONE category:
 
 Categories:
-- coding: Programming questions, debugging, code review, technical implementation, algorithms, software development
-- general: Simple questions, greetings, casual conversation, basic information, small talk
-- heavy: Research tasks, document creation (resumes, reports), complex analysis, detailed explanations, multi-step reasoning
+${categories.map(c => `- ${c.name}: ${c.description}`).join('\n')}
 
 Context from conversation:
 ${recentContext || 'No prior context'}
 
+Attached files:
+${formatAttachmentsForPrompt(attachments) || 'None'}
+
 User query: "${query}"
 
-Respond with ONLY the category name (coding, general, or heavy).`;
+Respond with ONLY the category name (${categories.map(c => c.name).join(', ')}).`;
+
+  const startTime = Date.now();
+  const decided = (category, method, usage = null) => ({
+    category,
+    method,
+    classifierModel: models.classifier,
+    classifierLatency: Date.now() - startTime,
+    // Token counts of the classifier call, for cost accounting (utils/pricing.js)
+    classifierUsage: usage ? {
+      promptTokens: usage.input_tokens ?? 0,
+      completionTokens: usage.output_tokens ?? 0,
+      reasoningTokens: usage.output_token_details?.reasoning ?? 0,
+    } : null,
+  });
 
   try {
-    const response = await classifier.invoke(classificationPrompt);
+    const response = await classifier.invoke(classificationPrompt, signal ? { signal } : undefined);
     const category = response.content.trim().toLowerCase();
     
-    // Validate and default to general if invalid
-    if (Object.values(QueryCategory).includes(category)) {
-      return category;
+    // Validate and fall back to the default category if invalid
+    if (getCategoryNames().includes(category)) {
+      return decided(category, ClassificationMethod.LLM, response.usage_metadata);
     }
     
-    console.warn(`Invalid classification: ${category}, defaulting to general`);
-    return QueryCategory.GENERAL;
+    const defaultCategory = getDefaultCategory();
+    console.warn(`Invalid classification: ${category}, defaulting to ${defaultCategory}`);
+    return decided(defaultCategory, ClassificationMethod.DEFAULT, response.usage_metadata);
   } catch (error) {
     console.error('Classification error:', error.message);
     // Fallback: simple heuristics
-    return fallbackClassification(query);
+    return decided(fallbackClassification(query, attachments), ClassificationMethod.KEYWORD);
   }
 }
 
 /**
  * Fallback classification using simple keyword matching
- * Used when LLM classification fails
+ * Used when LLM classification fails. Attachments (describeAttachments()) that
+ * point at a category win, since the prompt alone may be a single word;
+ * otherwise categories are checked in routing table order.
  */
-function fallbackClassification(query) {
+export function fallbackClassification(query, attachments = null) {
+  const byAttachment = attachmentCategory(attachments);
+  if (byAttachment) return byAttachment.category;
+  
   const lowerQuery = query.toLowerCase();
   
-  // Coding keywords
-  const codingKeywords = [
-    'code', 'program', 'function', 'debug', 'error', 'bug', 'implement',
-    'algorithm', 'javascript', 'python', 'java', 'react', 'api', 'database',
-    'class', 'method', 'variable', 'syntax', 'compile', 'runtime'
-  ];
-  
-  // Heavy work keywords
-  const heavyKeywords = [
-    'research', 'analyze', 'resume', 'cv', 'report', 'document', 'thesis',
-    'essay', 'detailed', 'comprehensive', 'in-depth', 'investigate', 'compare',
-    'evaluate', 'assessment', 'proposal', 'presentation'
-  ];
-  
-  // Check for coding
-  if (codingKeywords.some(keyword => lowerQuery.includes(keyword))) {
-    return QueryCategory.CODING;
+  for (const category of getRoutingTable().categories) {
+    if (category.keywords.some(keyword => lowerQuery.includes(keyword))) {
+      return category.name;
+    }
   }
   
-  // Check for heavy work
-  if (heavyKeywords.some(keyword => lowerQuery.includes(keyword))) {
-    return QueryCategory.HEAVY;
+  return getDefaultCategory();
+}
+
+/**
+ * Select model and generation settings for a category
+ * Returns { model, reasoning, temperature, maxTokens, systemPrompt }
+ */
+export function selectModelForCategory(category) {
+  const definition = getCategory(category);
+  if (definition) {
+    return {
+      model: definition.model,
+      fallbackModels: definition.fallbackModels,
+      reasoning: `${definition.name} task detected - ${definition.description}`,
+      temperature: definition.temperature,
+      maxTokens: definition.maxTokens,
+      reasoningEffort: definition.reasoningEffort,
+      reasoningMaxTokens: definition.reasoningMaxTokens,
+      systemPrompt: definition.systemPrompt,
+    };
   }
   
-  // Default to general
-  return QueryCategory.GENERAL;
+  const fallback = getCategory(getDefaultCategory());
+  return {
+    model: fallback.model,
+    fallbackModels: fallback.fallbackModels,
+    reasoning: `Unknown category - defaulting to ${fallback.name} model`,
+    temperature: fallback.temperature,
+    maxTokens: fallback.maxTokens,
+    reasoningEffort: fallback.reasoningEffort,
+    reasoningMaxTokens: fallback.reasoningMaxTokens,
+    systemPrompt: fallback.systemPrompt,
+  };
 }
 
 /**
- * Select optimal model based on query category
- * Returns { model, reasoning }
+ * Resolve a caller-chosen model and/or category without classifying
+ * Returns the same shape as routeQuery()
  */
-export function selectModelForCategory(category) {
-  const { models } = config.openrouter;
+export function resolveRouteOverride({ model = null, category = null } = {}) {
+  const validCategory = getCategoryNames().includes(category) ? category : null;
+  if (category && !validCategory) {
+    const err = new Error(`Unknown category: ${category}`);
+    err.status = 400;
+    throw err;
+  }
   
-  const modelMap = {
-    [QueryCategory.CODING]: {
-      model: models.coding,
-      reasoning: 'Coding task detected - using Claude for superior code quality'
-    },
-    [QueryCategory.GENERAL]: {
-      model: models.general,
-      reasoning: 'General query detected - using cost-effective DeepSeek'
-    },
-    [QueryCategory.HEAVY]: {
-      model: models.heavy,
-      reasoning: 'Heavy work detected - using GPT-4 for complex reasoning'
+  const resolvedCategory = validCategory || getDefaultCategory();
+  const selected = selectModelForCategory(resolvedCategory);
+  return {
+    ...selected,
+    model: model || selected.model,
+    // A pinned model is retried but never swapped for another
+    fallbackModels: model ? [] : selected.fallbackModels,
+    category: resolvedCategory,
+    reasoning: 'Manual override - router skipped',
+    routingTime: 0,
+    source: RouteSource.MANUAL,
+    method: null,
+    confidence: null,
+    classifierModel: null,
+    classifierLatency: null,
+    classifierUsage: null,
+    attachments: null,
+    attachmentSignal: null,
+  };
+}
+
+/**
+ * Pick a category according to a routing strategy (default: config.routing.strategy):
+ * - keyword: local scoring only, no model call
+ * - llm: local heuristics, then the cache, then the LLM classifier
+ * - embedding: local heuristics, then the nearest category centroid
+ * - hybrid: local heuristics, the cache, the nearest centroid when its margin
+ *   is large enough, then the LLM classifier
+ * Attachments (`files`) feed the heuristics, the keyword fallback and the classifier prompt;
+ * requests with attachments skip the cache, whose key covers the query and recent history only.
+ * @returns {Promise<Object>} - { category, method, confidence, classifierModel, classifierLatency, classifierUsage,
+ *   attachments, attachmentSignal } where attachments summarizes the files (null without any) and
+ *   attachmentSignal is the strongest attachment signal pointing at the chosen category
+ */
+export async function decideCategory(query, conversationHistory = [], { files = [], strategy = config.routing.strategy, signal = null } = {}) {
+  const attachments = describeAttachments(files);
+  const decided = await pickCategory(query, conversationHistory, strategy, attachments, signal);
+  return {
+    ...decided,
+    attachments: attachments && {
+      count: attachments.count,
+      totalBytes: attachments.totalBytes,
+      kinds: attachments.kinds,
+      hasImage: attachments.hasImage,
     },
+    attachmentSignal: scoreAttachments(attachments).find(s => s.category === decided.category)?.signal || null,
   };
+}
+
+async function pickCategory(query, conversationHistory, strategy, attachments, signal) {
+  const { enabled, confidenceThreshold } = config.routing.heuristics;
+  const local = enabled || strategy === RoutingStrategy.KEYWORD ? scoreQuery(query, { attachments }) : null;
+  const skipped = { classifierModel: null, classifierLatency: null, classifierUsage: null };
   
-  return modelMap[category] || {
-    model: models.general,
-    reasoning: 'Unknown category - defaulting to general model'
-  };
+  if (local && (strategy === RoutingStrategy.KEYWORD || local.confidence >= confidenceThreshold)) {
+    console.log(`[Router] Heuristic ${local.category} (confidence ${local.confidence}: ${local.signals.join('; ') || 'no signals'})`);
+    return { category: local.category, method: ClassificationMethod.HEURISTIC, confidence: local.confidence, ...skipped };
+  }
+  
+  const usesLLM = strategy === RoutingStrategy.LLM || strategy === RoutingStrategy.HYBRID;
+  // The classifier sees recent history, so follow-ups are cached per history window
+  const recentContext = formatRecentContext(conversationHistory);
+  const cached = usesLLM && !attachments ? getCachedCategory(query, recentContext) : null;
+  if (cached && getCategory(cached)) {
+    return { category: cached, method: ClassificationMethod.CACHE, confidence: local?.confidence ?? null, ...skipped };
+  }
+  
+  if (strategy === RoutingStrategy.EMBEDDING || strategy === RoutingStrategy.HYBRID) {
+    let nearest = null;
+    try {
+      nearest = await classifyByEmbedding(query);
+    } catch (error) {
+      console.error('Embedding classification error:', error.message);
+    }
+    if (nearest && (!usesLLM || nearest.confidence >= config.routing.embedding.minMargin)) {
+      return { ...nearest, method: ClassificationMethod.EMBEDDING, classifierUsage: null };
+    }
+    if (!usesLLM) {
+      // No centroids or no embeddings: same fallback as a failed classifier call
+      return { category: fallbackClassification(query, attachments), method: ClassificationMethod.KEYWORD, confidence: null, ...skipped };
+    }
+  }
+  
+  const classified = await classifyQueryDetailed(query, conversationHistory, { attachments, signal });
+  // Only real classifier answers are worth reusing
+  if (classified.method === ClassificationMethod.LLM && !attachments) {
+    setCachedCategory(query, classified.category, recentContext);
+  }
+  return { ...classified, confidence: local?.confidence ?? null };
 }
 
 /**
  * Main routing function: classify query and select model
- * Returns { model, category, reasoning }
+ * `files` (attachments) feed the heuristics, the keyword fallback and the classifier prompt (utils/attachmentSignals.js).
+ * `confidence` is the heuristic score (0-1), or the centroid similarity margin for `embedding`.
+ * `signal` cancels a pending classifier call.
+ * Returns { model, fallbackModels, category, reasoning, routingTime, source, method, confidence,
+ *   classifierModel, classifierLatency, classifierUsage, attachments, attachmentSignal,
+ *   temperature, maxTokens, systemPrompt }
  */
-export async function routeQuery(query, conversationHistory = []) {
+export async function routeQuery(query, conversationHistory = [], { files = [], signal = null } = {}) {
   const startTime = Date.now();
   
   // Classify query
-  const category = await classifyQuery(query, conversationHistory);
+  const { category, method, confidence, classifierModel, classifierLatency, classifierUsage, attachments, attachmentSignal } = await decideCategory(query, conversationHistory, { files, signal });
   
   // Select model
-  const { model, reasoning } = selectModelForCategory(category);
+  const { model, fallbackModels, reasoning, temperature, maxTokens, reasoningEffort, reasoningMaxTokens, systemPrompt } = selectModelForCategory(category);
   
   const routingTime = Date.now() - startTime;
   
@@ -148,44 +315,63 @@ export async function routeQuery(query, conversationHistory = []) {
     category,
     model,
     reasoning,
+    method,
+    attachmentSignal,
     routingTime: `${routingTime}ms`,
     queryPreview: query.substring(0, 50) + (query.length > 50 ? '...' : '')
   });
   
   return {
     model,
+    fallbackModels,
     category,
     reasoning,
-    routingTime
+    routingTime,
+    source: RouteSource.ROUTER,
+    method,
+    confidence,
+    classifierModel,
+    classifierLatency,
+    classifierUsage,
+    attachments,
+    attachmentSignal,
+    temperature,
+    maxTokens,
+    reasoningEffort,
+    reasoningMaxTokens,
+    systemPrompt,
   };
 }
 
 /**
  * Estimate cost savings from routing
- * (Simplified - actual costs vary by provider)
+ * Compares the answering model's price with the most expensive model of the
+ * routing table (what answering everything with the top model would cost).
+ * @param {string} category - Routed category
+ * @param {Object} usage - { promptTokens, completionTokens, reasoningTokens }
+ * @param {string} [model] - Model that answered (default: the category's model)
  */
-export function estimateCostSavings(category, tokenCount) {
-  // Rough cost estimates (per 1M tokens)
-  const costs = {
-    [QueryCategory.CODING]: 3.0,  // Claude Sonnet
-    [QueryCategory.GENERAL]: 0.14, // DeepSeek (very cheap)
-    [QueryCategory.HEAVY]: 5.0,    // GPT-4
-  };
-  
-  const baselineCost = 3.0; // If we used expensive model for everything
-  const actualCost = costs[category] || costs[QueryCategory.GENERAL];
+export function estimateCostSavings(category, usage, model = null) {
+  const actualModel = model || selectModelForCategory(category).model;
+  const actualPrice = computeCost(actualModel, usage);
+  const baselines = getRoutingTable().categories
+    .map(c => ({ model: c.model, price: computeCost(c.model, usage) }))
+    .filter(b => b.price !== null)
+    .sort((a, b) => b.price - a.price);
+  const baseline = baselines[0];
   
-  const baselinePrice = (baselineCost * tokenCount) / 1_000_000;
-  const actualPrice = (actualCost * tokenCount) / 1_000_000;
-  const savings = baselinePrice - actualPrice;
-  const savingsPercent = ((savings / baselinePrice) * 100).toFixed(1);
+  if (actualPrice === null || !baseline) {
+    return { category, model: actualModel, actualPrice, baselineModel: baseline?.model || null, baselinePrice: baseline?.price ?? null, savings: null, savingsPercent: null };
+  }
   
+  const savings = roundUsd(baseline.price - actualPrice);
   return {
     category,
-    baselinePrice: `$${baselinePrice.toFixed(6)}`,
-    actualPrice: `$${actualPrice.toFixed(6)}`,
-    savings: `$${savings.toFixed(6)}`,
-    savingsPercent: `${savingsPercent}%`
+    model: actualModel,
+    actualPrice,
+    baselineModel: baseline.model,
+    baselinePrice: baseline.price,
+    savings,
+    savingsPercent: baseline.price ? Number(((savings / baseline.price) * 100).toFixed(1)) : 0,
   };
 }
-
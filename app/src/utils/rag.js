@@ -1,8 +1,12 @@
 import { SystemMessage } from "@langchain/core/messages";
 
-const vectorStores = new Map(); // conversationId -> { docs: [{ text, embedding }], indexedCount: number, seenTexts: Set<string>, indexedTurnIds?: Set<string> }
+// conversationId -> Promise of { docs: [{ id, text, embedding, turnId, source }], seenKeys: Set<string>, turnTexts: Map<string, string>,
+//   indexedTurnIds: Set<string>, persistent: boolean } (the promise, so concurrent requests share one load)
+// Chunks of turns are also persisted (utils/vectorStore.js); request files only live here.
+const vectorStores = new Map();
 
 import config from "../config/config.js";
+import { loadChunks, saveChunks, deleteChunks } from "./vectorStore.js";
 
 export const RAG_TOP_K = config.prompt.ragTopK;
 export const CHUNK_SIZE = config.prompt.chunkSize;
@@ -42,7 +46,7 @@ function isTextLikeFilename(filename) {
   return /(txt|md|markdown|json|csv|html|xml|yaml|yml)$/i.test(ext);
 }
 
-async function fetchTurnAttachmentText(turnId, filename) {
+export async function fetchTurnAttachmentText(turnId, filename) {
   try {
     if (!isTextLikeFilename(filename)) return '';
     const base = config.pocketbase.url;
@@ -56,108 +60,161 @@ async function fetchTurnAttachmentText(turnId, filename) {
   }
 }
 
-export async function ensureIndexedForConversation({ pb, conversationId, embeddings, files = [] }) {
-  let store = vectorStores.get(conversationId);
-  if (!store) {
-    store = { docs: [], indexedCount: 0, seenTexts: new Set(), indexedTurnIds: new Set() };
-    vectorStores.set(conversationId, store);
+function docKey(turnId, text) {
+  return `${turnId || ''}:${text}`;
+}
+
+// Drop the chunks of a turn's messages that are not in `keepKeys` (its answer changed, e.g. a new variant)
+// Returns the dropped docs
+function dropTurnTextDocs(store, turnId, keepKeys) {
+  const dropped = [];
+  store.docs = store.docs.filter((d) => {
+    const key = docKey(d.turnId, d.text);
+    if (d.turnId !== turnId || d.source !== 'text' || keepKeys.has(key)) return true;
+    store.seenKeys.delete(key);
+    dropped.push(d);
+    return false;
+  });
+  return dropped;
+}
+
+// New in-process store, filled from the persisted chunks when available
+async function loadStore(pb, conversationId) {
+  const store = { docs: [], seenKeys: new Set(), turnTexts: new Map(), indexedTurnIds: new Set(), persistent: !!pb && config.prompt.ragPersist };
+  if (!store.persistent) return store;
+  try {
+    const { docs, stale } = await loadChunks(pb, conversationId);
+    for (const d of docs) {
+      store.docs.push(d);
+      store.seenKeys.add(docKey(d.turnId, d.text));
+      // Stored attachment chunks: the turn's files need not be downloaded again
+      if (d.source === 'attachment' && d.turnId) store.indexedTurnIds.add(d.turnId);
+    }
+    if (stale.length) {
+      // Embedded with another model or index version: removed here, re-embedded below.
+      // Awaited: the unique index would reject the new records while the old ones exist.
+      console.log(`[RAG] Re-indexing conversation ${conversationId}: ${stale.length} chunks from another embedding model`);
+      await deleteChunks(pb, stale);
+    }
+  } catch (e) {
+    console.warn('[RAG] Stored chunks unavailable, indexing in memory:', e?.message || e);
+    store.persistent = false;
   }
+  return store;
+}
+
+/**
+ * Index a conversation's turns, their persisted attachments and the current request files.
+ * Chunks remember their turn so retrieval can be limited to a subset of turns.
+ * Pass `turns` when the caller already loaded them.
+ */
+export async function ensureIndexedForConversation({ pb, conversationId, embeddings, files = [], turns = null }) {
+  if (!vectorStores.has(conversationId)) vectorStores.set(conversationId, loadStore(pb, conversationId));
+  const store = await vectorStores.get(conversationId);
 
   // Load turns
-  const turns = await pb.collection("turns").getFullList(500, {
-    filter: `conversation = "${conversationId}"`,
-    sort: "created",
-  });
-  const allTexts = [];
-  for (const t of turns) {
-    if (t.user_text) allTexts.push(String(t.user_text));
-    if (t.assistant_text) allTexts.push(String(t.assistant_text));
+  if (!turns) {
+    turns = await pb.collection("turns").getFullList(500, {
+      filter: `conversation = "${conversationId}"`,
+      sort: "created",
+    });
   }
 
-  // Index only new texts beyond indexedCount
-  const newTexts = allTexts.slice(store.indexedCount);
-  const textsToIndex = [];
-  for (const txt of newTexts) {
-    for (const ch of chunkText(txt)) {
-      if (!store.seenTexts.has(ch)) {
-        textsToIndex.push(ch);
-        store.seenTexts.add(ch);
+  const pending = []; // [{ text, turnId, source }]
+  function queue(text, turnId, source) {
+    for (const ch of chunkText(text)) {
+      const key = docKey(turnId, ch);
+      if (!store.seenKeys.has(key)) {
+        pending.push({ text: ch, turnId, source });
+        store.seenKeys.add(key);
       }
     }
   }
 
+  // Index turn messages that are new or whose text changed since last time
+  // (prompt and answer only; stored reasoning traces are never indexed).
+  // Chunks loaded from storage are kept when they still match the turn's text.
+  const droppedDocs = [];
+  for (const t of turns) {
+    const texts = [t.user_text, t.assistant_text].filter(Boolean).map(String);
+    const signature = texts.join('\n');
+    if (store.turnTexts.get(t.id) === signature) continue;
+    const keepKeys = new Set(texts.flatMap(txt => chunkText(txt).map(ch => docKey(t.id, ch))));
+    droppedDocs.push(...dropTurnTextDocs(store, t.id, keepKeys));
+    for (const txt of texts) queue(txt, t.id, 'text');
+    store.turnTexts.set(t.id, signature);
+  }
+  if (store.persistent && droppedDocs.length) {
+    deleteChunks(pb, droppedDocs.map(d => d.id).filter(Boolean)).catch(() => {});
+  }
+
   // Index persisted attachments from previous turns (text-like by filename)
   for (const t of turns) {
-    const already = store.indexedTurnIds?.has(t.id);
+    const already = store.indexedTurnIds.has(t.id);
     const userFiles = Array.isArray(t.user_attachments) ? t.user_attachments : [];
     const assistantFiles = Array.isArray(t.assistant_attachments) ? t.assistant_attachments : [];
     if (!already && (userFiles.length || assistantFiles.length)) {
+      // Marked first so a concurrent request does not download the same files
+      store.indexedTurnIds.add(t.id);
       const filenames = [...userFiles, ...assistantFiles].slice(0, 10);
       for (const fn of filenames) {
         const fname = typeof fn === 'string' ? fn : String(fn);
         if (!isTextLikeFilename(fname)) continue;
         const contentStr = await fetchTurnAttachmentText(t.id, fname);
-        if (contentStr) {
-          for (const ch of chunkText(contentStr)) {
-            if (!store.seenTexts.has(ch)) {
-              textsToIndex.push(ch);
-              store.seenTexts.add(ch);
-            }
-          }
-        }
+        if (contentStr) queue(contentStr, t.id, 'attachment');
       }
-      store.indexedTurnIds?.add(t.id);
     }
   }
 
   // Ephemeral indexing of current request files (text-like only)
   if (Array.isArray(files) && files.length > 0) {
     for (const f of files) {
-      const type = f.mimetype || "application/octet-stream";
       if (isTextLikeFile(f)) {
         let contentStr = "";
         try { contentStr = Buffer.from(f.buffer).toString("utf-8"); } catch (_) {}
-        if (contentStr) {
-          for (const ch of chunkText(contentStr)) {
-            if (!store.seenTexts.has(ch)) {
-              textsToIndex.push(ch);
-              store.seenTexts.add(ch);
-            }
-          }
-        }
+        if (contentStr) queue(contentStr, null, 'file');
       }
     }
   }
 
-  if (textsToIndex.length > 0) {
-    const cleanTexts = textsToIndex
-      .map((t) => String(t ?? "").replace(/\s+/g, " ").trim())
-      .filter(Boolean);
-    if (cleanTexts.length > 0) {
+  if (pending.length > 0) {
+    const cleanItems = pending
+      .map((p) => ({ ...p, text: String(p.text ?? "").replace(/\s+/g, " ").trim() }))
+      .filter((p) => p.text);
+    if (cleanItems.length > 0) {
       try {
-        const vectors = await embeddings.embedDocuments(cleanTexts);
-        for (let i = 0; i < cleanTexts.length; i++) {
+        const vectors = await embeddings.embedDocuments(cleanItems.map((p) => p.text));
+        const added = [];
+        for (let i = 0; i < cleanItems.length; i++) {
           if (vectors[i]) {
-            store.docs.push({ text: cleanTexts[i], embedding: vectors[i] });
+            const doc = { ...cleanItems[i], embedding: vectors[i] };
+            store.docs.push(doc);
+            added.push(doc);
           }
         }
+        // Stored in the background; request files are not stored, once saved they are indexed as their turn's attachments
+        if (store.persistent) saveChunks(pb, conversationId, added.filter(d => d.turnId)).catch(() => {});
       } catch (err) {
         
       }
     }
   }
-
-  store.indexedCount = allTexts.length; // mark turns indexed
 }
 
-export async function retrieveRelevantContexts({ conversationId, query, embeddings, topK = RAG_TOP_K, maxCharsPerChunk = RETRIEVAL_CHUNK_MAX_CHARS }) {
-  const { chunks } = await retrieveContextsWithScores({ conversationId, query, embeddings, topK, maxCharsPerChunk });
+export async function retrieveRelevantContexts({ conversationId, query, embeddings, topK = RAG_TOP_K, maxCharsPerChunk = RETRIEVAL_CHUNK_MAX_CHARS, turnIds = null }) {
+  const { chunks } = await retrieveContextsWithScores({ conversationId, query, embeddings, topK, maxCharsPerChunk, turnIds });
   return chunks.map(c => c.text);
 }
 
-export async function retrieveContextsWithScores({ conversationId, query, embeddings, topK = RAG_TOP_K, maxCharsPerChunk = RETRIEVAL_CHUNK_MAX_CHARS }) {
-  const store = vectorStores.get(conversationId);
-  if (!store || store.docs.length === 0) return { chunks: [], maxSim: 0 };
+/**
+ * Top-k chunks by cosine similarity.
+ * `turnIds` (Set) limits turn-derived chunks to those turns; request files always qualify.
+ * Returns the query's embedding as `queryVector` when one was computed, so other stores can reuse it.
+ */
+export async function retrieveContextsWithScores({ conversationId, query, embeddings, topK = RAG_TOP_K, maxCharsPerChunk = RETRIEVAL_CHUNK_MAX_CHARS, turnIds = null }) {
+  const store = await vectorStores.get(conversationId);
+  const docs = store ? (turnIds ? store.docs.filter((d) => !d.turnId || turnIds.has(d.turnId)) : store.docs) : [];
+  if (docs.length === 0) return { chunks: [], maxSim: 0 };
 
   const q = String(query || "").replace(/\s+/g, " ").trim();
   if (!q) return { chunks: [], maxSim: 0 };
@@ -169,16 +226,16 @@ export async function retrieveContextsWithScores({ conversationId, query, embedd
     return { chunks: [], maxSim: 0 };
   }
 
-  const sims = store.docs.map((d, idx) => ({ idx, sim: cosineSim(qVec, d.embedding) }));
+  const sims = docs.map((d, idx) => ({ idx, sim: cosineSim(qVec, d.embedding) }));
   sims.sort((a, b) => b.sim - a.sim);
   const maxSim = sims.length ? sims[0].sim : 0;
   const top = sims.slice(0, Math.max(1, topK));
   const chunks = [];
   for (const { idx, sim } of top) {
-    const t = String(store.docs[idx].text || "").slice(0, maxCharsPerChunk);
+    const t = String(docs[idx].text || "").slice(0, maxCharsPerChunk);
     if (t) chunks.push({ text: t, sim });
   }
-  return { chunks, maxSim };
+  return { chunks, maxSim, queryVector: qVec };
 }
 
 export function cosineSim(a, b) {
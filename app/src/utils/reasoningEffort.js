@@ -0,0 +1,120 @@
+/**
+ * Reasoning effort and reasoning-token budgets
+ *
+ * Reasoning models can be told how hard to think. The setting comes from,
+ * in order:
+ * - the request (`reasoningEffort`, `reasoningMaxTokens`; see utils/routeOverride.js)
+ * - the routing category (`reasoningEffort`, `reasoningMaxTokens` in the routing table)
+ * - the query's complexity (estimateQueryComplexity), for known reasoning models only,
+ *   unless REASONING_AUTO=false
+ * It is sent as OpenRouter's `reasoning` parameter, which takes either a level
+ * or a token budget:
+ * - models that take a budget (Anthropic, Gemini) get `max_tokens` when a cap is
+ *   set, and their completion limit grows by the cap so the answer keeps its room
+ * - effort-only models (OpenAI, DeepSeek, ...) get `effort`; a cap alone is sent
+ *   as `max_tokens` (OpenRouter maps it to a level). Their reasoning counts
+ *   inside the completion limit, which stays the category's maxTokens.
+ * appliedReasoning() is the part that is actually sent, for logs and routing records.
+ */
+
+import { estimateQueryComplexity } from '../memory/memoryLayers.js';
+import config from '../config/config.js';
+
+export const ReasoningEffort = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+};
+
+export const REASONING_EFFORTS = Object.values(ReasoningEffort);
+
+/**
+ * Where the effort setting came from (routing.reasoningEffort.source)
+ */
+export const ReasoningEffortSource = {
+  REQUEST: 'request',
+  CATEGORY: 'category',
+  AUTO: 'auto',
+};
+
+// Models that reason before answering, detected by name
+const REASONING_MODEL = /gpt-5|o1-preview|o1-mini|o3|deepseek.*reason/i;
+// Models that take a reasoning-token budget rather than an effort level
+const BUDGET_MODEL = /^(anthropic|google)\//i;
+
+// estimateQueryComplexity() score below which each level is picked
+const AUTO_LEVELS = [
+  [0.3, ReasoningEffort.LOW],
+  [0.7, ReasoningEffort.MEDIUM],
+];
+
+export function isReasoningModel(model) {
+  return REASONING_MODEL.test(String(model || ''));
+}
+
+/**
+ * Effort level for a query from its complexity (0-1)
+ */
+export function effortFromComplexity(query) {
+  const complexity = estimateQueryComplexity(query);
+  return AUTO_LEVELS.find(([below]) => complexity < below)?.[1] || ReasoningEffort.HIGH;
+}
+
+/**
+ * Reasoning setting for a routed request
+ * @param {Object} options
+ * @param {string} options.model - Routed model
+ * @param {Object} [options.route] - Route with the category's reasoningEffort/reasoningMaxTokens
+ * @param {Object} [options.override] - Request override with reasoningEffort/reasoningMaxTokens
+ * @param {string} [options.query] - Prompt, for the automatic level
+ * @returns {Object|null} - { effort, maxTokens, source }, null when nothing applies
+ */
+export function resolveReasoningEffort({ model, route = null, override = null, query = '' }) {
+  const maxTokens = override?.reasoningMaxTokens ?? route?.reasoningMaxTokens ?? null;
+  if (override?.reasoningEffort) {
+    return { effort: override.reasoningEffort, maxTokens, source: ReasoningEffortSource.REQUEST };
+  }
+  if (route?.reasoningEffort) {
+    return { effort: route.reasoningEffort, maxTokens, source: ReasoningEffortSource.CATEGORY };
+  }
+  if (config.reasoning.auto && isReasoningModel(model)) {
+    return { effort: effortFromComplexity(query), maxTokens, source: ReasoningEffortSource.AUTO };
+  }
+  if (!maxTokens) return null;
+  // A cap alone still applies, at the provider's default effort
+  const source = override?.reasoningMaxTokens ? ReasoningEffortSource.REQUEST : ReasoningEffortSource.CATEGORY;
+  return { effort: null, maxTokens, source };
+}
+
+/**
+ * The part of a setting a model is sent: a budget model drops the level when
+ * capped, an effort-only model drops the cap when a level is set
+ * @param {string} model - Model the request is sent to
+ * @param {Object|null} setting - resolveReasoningEffort() result
+ * @returns {Object|null} - { effort, maxTokens, source }, null when nothing is sent
+ */
+export function appliedReasoning(model, setting) {
+  if (!setting) return null;
+  const { effort, maxTokens, source } = setting;
+  if (maxTokens && (BUDGET_MODEL.test(model) || !effort)) return { effort: null, maxTokens, source };
+  return effort ? { effort, maxTokens: null, source } : null;
+}
+
+/**
+ * Provider parameters for one model of the fallback chain
+ * @param {string} model - Model the request is sent to
+ * @param {Object|null} setting - resolveReasoningEffort() result
+ * @param {number} maxTokens - The category's completion limit
+ * @returns {Object} - { modelKwargs, maxTokens }
+ */
+export function reasoningParams(model, setting, maxTokens) {
+  const applied = appliedReasoning(model, setting);
+  if (!applied) return { modelKwargs: {}, maxTokens };
+  if (applied.maxTokens) {
+    return {
+      modelKwargs: { reasoning: { max_tokens: applied.maxTokens } },
+      maxTokens: BUDGET_MODEL.test(model) ? maxTokens + applied.maxTokens : maxTokens,
+    };
+  }
+  return { modelKwargs: { reasoning: { effort: applied.effort } }, maxTokens };
+}
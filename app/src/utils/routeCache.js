@@ -0,0 +1,83 @@
+/**
+ * Classification cache
+ *
+ * Remembers LLM classifier results for repeated queries so the router can
+ * skip the classifier call. Keys are normalized (case, whitespace and
+ * punctuation are ignored), so near-identical queries share an entry. The
+ * recent history the classifier saw is hashed into the key, so a follow-up
+ * ("and in JavaScript?") is only reused after the same exchange.
+ * Entries belong to the routing table they were made with and are dropped
+ * when it is reloaded. Process-local LRU; each instance warms its own.
+ */
+
+import { createHash } from 'node:crypto';
+import config from '../config/config.js';
+import { getRoutingTable } from './routingTable.js';
+
+// normalized query (+ history hash) -> { category, tableVersion, expiresAt }
+const cache = new Map();
+
+/**
+ * Cache key of a query (null if it is too short or too long to be worth caching)
+ */
+export function normalizeQuery(query) {
+  const key = String(query || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key && key.length <= 2000 ? key : null;
+}
+
+// Key of a query in the context of the history window the classifier saw
+function cacheKey(query, context) {
+  const key = normalizeQuery(query);
+  if (!key || !context) return key;
+  return `${key}#${createHash('sha256').update(String(context)).digest('hex').slice(0, 16)}`;
+}
+
+function tableVersion() {
+  const { source, loadedAt } = getRoutingTable();
+  return `${source}@${loadedAt}`;
+}
+
+/**
+ * Cached category for a query, or null
+ * `context` is the recent history given to the classifier ('' without history).
+ */
+export function getCachedCategory(query, context = '') {
+  const key = cacheKey(query, context);
+  if (!key) return null;
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now() || entry.tableVersion !== tableVersion()) {
+    cache.delete(key);
+    return null;
+  }
+  // Re-insert to mark as recently used
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry.category;
+}
+
+/**
+ * Remember the classifier's category for a query
+ */
+export function setCachedCategory(query, category, context = '') {
+  const { maxEntries, ttlMs } = config.routing.cache;
+  const key = cacheKey(query, context);
+  if (!key || maxEntries <= 0) return;
+  cache.delete(key);
+  cache.set(key, { category, tableVersion: tableVersion(), expiresAt: Date.now() + ttlMs });
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+export function clearRouteCache() {
+  cache.clear();
+}
+
+export function getRouteCacheStats() {
+  return { size: cache.size, maxEntries: config.routing.cache.maxEntries };
+}
@@ -0,0 +1,141 @@
+/**
+ * Local routing heuristics
+ *
+ * Scores a query against the routing table without any model call, so the
+ * router can skip the LLM classifier when the answer is obvious. Signals:
+ * - table keywords (1 point per hit, matched as whole words with common endings)
+ * - code fences / code-like lines (coding category)
+ * - attachments (utils/attachmentSignals.js): code files, more so large ones,
+ *   and text files dense with code -> coding; documents and data, more so
+ *   large ones -> the research/document category; images -> a weak point for
+ *   the research/document category, so the classifier usually decides
+ * - prompt length (greetings and very short prompts -> default category,
+ *   very long prompts -> the research/document category)
+ * Signals that point at a category the table does not have are ignored.
+ */
+
+import { getRoutingTable, getDefaultCategory } from './routingTable.js';
+import { describeAttachments, AttachmentKind, CODE_LINE } from './attachmentSignals.js';
+
+const CODE_FENCE = /```/;
+const GREETING = /^(hi|hello|hey|yo|thanks|thank you|good (morning|afternoon|evening)|ok|okay|cool|bye)\b[\s!.?,]*\w{0,12}[\s!.?]*$/i;
+
+const SHORT_PROMPT_CHARS = 40;
+const LONG_PROMPT_CHARS = 1500;
+const LARGE_CODE_LINES = 200;
+const LARGE_DOCUMENT_BYTES = 100 * 1024;
+const CODE_DENSE_RATIO = 0.3;
+
+// Inflections a keyword may carry, with an optional doubled consonant ("debugging")
+const KEYWORD_ENDING = '(?:\\p{L}?(?:s|es|d|ed|ing|er|ers))?';
+
+// Keyword as a whole word ("api" matches "APIs", "java" does not match "javascript")
+function hasKeyword(lowerText, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}${KEYWORD_ENDING}(?![\\p{L}\\p{N}])`, 'u').test(lowerText);
+}
+
+// First category named like, or listing a keyword among, `hints`
+function categoryFor(categories, hints) {
+  const match = categories.find(c => hints.includes(c.name))
+    || categories.find(c => c.keywords.some(k => hints.includes(k)));
+  return match?.name || null;
+}
+
+/**
+ * Points attachments give to routing categories
+ * @param {Object|null} attachments - describeAttachments() result
+ * @returns {Object[]} - [{ category, points, signal }], strongest first
+ */
+export function scoreAttachments(attachments, categories = getRoutingTable().categories) {
+  if (!attachments?.count) return [];
+  const codeCategory = categoryFor(categories, ['coding', 'code']);
+  const documentCategory = categoryFor(categories, ['heavy', 'research', 'document', 'report']);
+  const scored = [];
+  const add = (category, points, signal) => {
+    if (category) scored.push({ category, points, signal });
+  };
+
+  for (const file of attachments.files) {
+    if (file.kind === AttachmentKind.CODE) {
+      const large = (file.lines || 0) >= LARGE_CODE_LINES;
+      add(codeCategory, large ? 3 : 2, `attachment:code:${file.name}${large ? `:${file.lines}_lines` : ''}`);
+    } else if (file.codeFences > 0 || file.codeLineRatio >= CODE_DENSE_RATIO) {
+      add(codeCategory, 2, `attachment:code_density:${file.name}`);
+    } else if (file.kind === AttachmentKind.DOCUMENT) {
+      add(documentCategory, 2, `attachment:document:${file.name}`);
+    } else if (file.kind === AttachmentKind.IMAGE) {
+      add(documentCategory, 1, `attachment:image:${file.name}`);
+    }
+  }
+  const documentBytes = attachments.files
+    .filter(f => f.kind === AttachmentKind.DOCUMENT)
+    .reduce((sum, f) => sum + f.bytes, 0);
+  if (documentBytes >= LARGE_DOCUMENT_BYTES) add(documentCategory, 1, 'attachment:large_documents');
+
+  return scored.sort((a, b) => b.points - a.points);
+}
+
+/**
+ * Category the attachments point at most, or null
+ * @returns {Object|null} - { category, signal } where signal is the strongest attachment signal for it
+ */
+export function attachmentCategory(attachments) {
+  const scored = scoreAttachments(attachments);
+  if (!scored.length) return null;
+  const totals = new Map();
+  for (const { category, points } of scored) totals.set(category, (totals.get(category) || 0) + points);
+  const [category] = [...totals.entries()].sort((a, b) => b[1] - a[1])[0];
+  return { category, signal: scored.find(s => s.category === category).signal };
+}
+
+/**
+ * Score a query per routing category
+ * @param {string} query
+ * @param {Object} [options] - { files } (multer files or { originalname, mimetype }),
+ *   or `attachments` already described by describeAttachments()
+ * @returns {Object} - { category, confidence (0-1), scores: { [category]: points }, signals: [string],
+ *   attachmentSignal } where attachmentSignal is the strongest attachment signal for the chosen category
+ */
+export function scoreQuery(query, { files = [], attachments = describeAttachments(files) } = {}) {
+  const { categories } = getRoutingTable();
+  const text = String(query || '');
+  const lower = text.toLowerCase();
+  const scores = Object.fromEntries(categories.map(c => [c.name, 0]));
+  const signals = [];
+  const add = (category, points, signal) => {
+    if (!category || scores[category] === undefined) return;
+    scores[category] += points;
+    signals.push(signal);
+  };
+
+  const codeCategory = categoryFor(categories, ['coding', 'code']);
+  const documentCategory = categoryFor(categories, ['heavy', 'research', 'document', 'report']);
+  const defaultCategory = getDefaultCategory();
+
+  for (const category of categories) {
+    const hits = category.keywords.filter(keyword => hasKeyword(lower, keyword));
+    if (hits.length) add(category.name, hits.length, `keywords:${category.name}=${hits.join(',')}`);
+  }
+
+  if (CODE_FENCE.test(text)) add(codeCategory, 3, 'code_fence');
+  else if (CODE_LINE.test(text)) add(codeCategory, 2, 'code_like');
+
+  const attachmentScores = scoreAttachments(attachments, categories);
+  for (const { category, points, signal } of attachmentScores) add(category, points, signal);
+
+  const trimmed = text.trim();
+  if (GREETING.test(trimmed)) add(defaultCategory, 3, 'greeting');
+  else if (trimmed.length < SHORT_PROMPT_CHARS && !signals.length) add(defaultCategory, 1, 'short_prompt');
+  if (trimmed.length > LONG_PROMPT_CHARS) add(documentCategory, 1, 'long_prompt');
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [top, second] = [ranked[0], ranked[1]];
+  const topScore = top?.[1] || 0;
+  // Margin over the runner-up, damped so a single weak signal stays below typical thresholds
+  const confidence = topScore > 0 ? Math.round(((topScore - (second?.[1] || 0)) / (topScore + 1)) * 100) / 100 : 0;
+
+  const category = topScore > 0 ? top[0] : defaultCategory;
+  const attachmentSignal = attachmentScores.find(s => s.category === category)?.signal || null;
+  return { category, confidence, scores, signals, attachmentSignal };
+}
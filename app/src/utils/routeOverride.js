@@ -0,0 +1,158 @@
+/**
+ * Per-request routing overrides
+ *
+ * Chat routes accept optional `model`, `category`, `temperature`,
+ * `reasoningEffort` and `reasoningMaxTokens` fields. Each one must be allowed
+ * for the caller's role (`users.role`, default "user") by config.routing.overrideAllowlist:
+ *   { "<role>": { "models": [...] | "*", "categories": [...] | "*", "temperature": [min, max] | false,
+ *                 "reasoningEffort": [...] | "*", "reasoningMaxTokens": <max> | "*" } }
+ * A model or category override skips the classifier; temperature and reasoning alone do not.
+ * Compare mode (`compare`: two or more model ids) needs every model allowed the same way.
+ */
+
+import { RouteSource } from './queryRouter.js';
+import { getCategoryNames } from './routingTable.js';
+import { REASONING_EFFORTS } from './reasoningEffort.js';
+import config from '../config/config.js';
+
+const DEFAULT_ROLE = 'user';
+const TEMPERATURE_RANGE = [0, 2];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function allows(list, value) {
+  return list === '*' || (Array.isArray(list) && list.includes(value));
+}
+
+/**
+ * Read override fields from a JSON or multipart body
+ * @returns {Object|null} - { model, category, temperature, reasoningEffort, reasoningMaxTokens } (unset fields null),
+ *   or null if none given
+ */
+export function readRouteOverride(body = {}) {
+  const model = typeof body?.model === 'string' && body.model.trim() ? body.model.trim() : null;
+  const category = typeof body?.category === 'string' && body.category.trim() ? body.category.trim() : null;
+
+  let temperature = null;
+  if (body?.temperature !== undefined && body?.temperature !== null && body?.temperature !== '') {
+    temperature = Number(body.temperature);
+    const [min, max] = TEMPERATURE_RANGE;
+    if (!Number.isFinite(temperature) || temperature < min || temperature > max) {
+      throw httpError(400, `temperature must be a number between ${min} and ${max}`);
+    }
+  }
+
+  const reasoningEffort = typeof body?.reasoningEffort === 'string' && body.reasoningEffort.trim()
+    ? body.reasoningEffort.trim().toLowerCase()
+    : null;
+  if (reasoningEffort && !REASONING_EFFORTS.includes(reasoningEffort)) {
+    throw httpError(400, `reasoningEffort must be one of: ${REASONING_EFFORTS.join(', ')}`);
+  }
+
+  let reasoningMaxTokens = null;
+  if (body?.reasoningMaxTokens !== undefined && body?.reasoningMaxTokens !== null && body?.reasoningMaxTokens !== '') {
+    reasoningMaxTokens = Number(body.reasoningMaxTokens);
+    if (!Number.isInteger(reasoningMaxTokens) || reasoningMaxTokens <= 0) {
+      throw httpError(400, 'reasoningMaxTokens must be a positive integer');
+    }
+  }
+
+  if (category && !getCategoryNames().includes(category)) {
+    throw httpError(400, `category must be one of: ${getCategoryNames().join(', ')}`);
+  }
+
+  if (!model && !category && temperature === null && !reasoningEffort && reasoningMaxTokens === null) return null;
+  return { model, category, temperature, reasoningEffort, reasoningMaxTokens };
+}
+
+/**
+ * Throw 403 unless every field of the override is allowed for the user's role
+ */
+export function assertOverrideAllowed(user, override) {
+  if (!override) return;
+  const role = user?.role || DEFAULT_ROLE;
+  const rules = config.routing.overrideAllowlist[role] || {};
+
+  if (override.model && !allows(rules.models, override.model)) {
+    throw httpError(403, `Model override not allowed for role "${role}": ${override.model}`);
+  }
+  if (override.category && !allows(rules.categories, override.category)) {
+    throw httpError(403, `Category override not allowed for role "${role}": ${override.category}`);
+  }
+  if (override.temperature !== null && override.temperature !== undefined) {
+    const range = rules.temperature;
+    if (!Array.isArray(range) || override.temperature < range[0] || override.temperature > range[1]) {
+      throw httpError(403, `Temperature override not allowed for role "${role}"`);
+    }
+  }
+  if (override.reasoningEffort && !allows(rules.reasoningEffort, override.reasoningEffort)) {
+    throw httpError(403, `Reasoning effort "${override.reasoningEffort}" not allowed for role "${role}"`);
+  }
+  if (override.reasoningMaxTokens !== null && override.reasoningMaxTokens !== undefined) {
+    const max = rules.reasoningMaxTokens;
+    if (max !== '*' && !(Number.isInteger(max) && override.reasoningMaxTokens <= max)) {
+      throw httpError(403, `reasoningMaxTokens override not allowed for role "${role}"${Number.isInteger(max) ? ` above ${max}` : ''}`);
+    }
+  }
+}
+
+export function isOverrideAllowed(user, override) {
+  try {
+    assertOverrideAllowed(user, override);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validated override of a chat request (throws 400/403), or null
+ */
+export function getRequestRouteOverride(req) {
+  const override = readRouteOverride(req.body);
+  assertOverrideAllowed(req.user, override);
+  return override;
+}
+
+/**
+ * Models of a compare-mode request (throws 400/403), or null without `compare`
+ * Accepts an array, or a JSON array / comma-separated string from multipart forms.
+ * `override` is the request's route override: a pinned model cannot be combined with compare.
+ */
+export function getRequestCompareModels(req, override = null) {
+  const raw = req.body?.compare;
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',');
+    } catch {
+      throw httpError(400, 'compare must be an array of model ids');
+    }
+  }
+  if (!Array.isArray(list) || list.some(m => typeof m !== 'string')) {
+    throw httpError(400, 'compare must be an array of model ids');
+  }
+  const models = [...new Set(list.map(m => m.trim()).filter(Boolean))];
+  const max = config.chat.compareMaxModels;
+  if (models.length < 2 || models.length > max) {
+    throw httpError(400, `compare needs between 2 and ${max} different models`);
+  }
+  if (override?.model) {
+    throw httpError(400, 'model and compare cannot be combined');
+  }
+  for (const model of models) assertOverrideAllowed(req.user, { model });
+  return models;
+}
+
+/**
+ * Who picks the model for this override: the caller (manual) or the router
+ */
+export function overrideRouteSource(override) {
+  return override?.model || override?.category ? RouteSource.MANUAL : RouteSource.ROUTER;
+}
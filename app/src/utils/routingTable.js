@@ -0,0 +1,246 @@
+/**
+ * Routing table
+ *
+ * Defines the categories the query router can pick and how each one is
+ * answered. Without ROUTING_CONFIG the built-in coding/general/heavy table is
+ * used (models from OPENROUTER_*_MODEL). With ROUTING_CONFIG pointing at a
+ * JSON or YAML file, that file defines any number of categories:
+ *
+ *   defaultCategory: general          # used when classification fails
+ *   categories:
+ *     coding:
+ *       description: Programming questions, debugging, code review
+ *       keywords: [code, debug, function]   # keyword fallback, checked in file order
+ *       examples: [Why does this loop never end?]   # labelled queries for the embedding strategy (utils/embeddingRouter.js)
+ *       model: anthropic/claude-sonnet-4.5
+ *       fallbackModels: [openai/gpt-5]      # optional, tried in order when the model fails (utils/modelFallback.js)
+ *       temperature: 0.3                    # optional (default 0.7)
+ *       maxTokens: 4096                     # optional (default MAX_OUTPUT_TOKENS)
+ *       reasoningEffort: high               # optional: low, medium or high (utils/reasoningEffort.js)
+ *       reasoningMaxTokens: 8000            # optional reasoning budget (Anthropic, Gemini)
+ *       systemPrompt: You are a senior engineer...   # optional
+ *
+ * The file is validated at startup (the server refuses to start on errors)
+ * and can be reloaded without a restart (SIGHUP or POST /api/admin/routing/reload);
+ * a reload that fails validation keeps the previous table.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+import { REASONING_EFFORTS } from './reasoningEffort.js';
+import config from '../config/config.js';
+
+const DEFAULT_TEMPERATURE = 0.7;
+const CATEGORY_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+const TOP_LEVEL_KEYS = ['defaultCategory', 'categories'];
+const CATEGORY_KEYS = ['description', 'keywords', 'examples', 'model', 'fallbackModels', 'temperature', 'maxTokens', 'reasoningEffort', 'reasoningMaxTokens', 'systemPrompt'];
+
+let table = null;
+
+/**
+ * Built-in table (the router's original categories)
+ * Each category falls back to OPENROUTER_MODEL when its own model fails.
+ */
+function builtInRoutingTable() {
+  const { models, defaultModel } = config.openrouter;
+  const fallbackFor = (model) => (defaultModel && defaultModel !== model ? [defaultModel] : []);
+  return {
+    defaultCategory: 'general',
+    categories: {
+      coding: {
+        description: 'Programming questions, debugging, code review, technical implementation, algorithms, software development',
+        keywords: [
+          'code', 'program', 'function', 'debug', 'error', 'bug', 'implement',
+          'algorithm', 'javascript', 'python', 'java', 'react', 'api', 'database',
+          'class', 'method', 'variable', 'syntax', 'compile', 'runtime',
+        ],
+        examples: [
+          'Why does my Python script raise a KeyError here?',
+          'How do I reverse a linked list in Java?',
+          'Write a SQL query that finds duplicate emails',
+          'What is the difference between let and const in JavaScript?',
+          'Refactor this function to use async/await',
+          'How can I speed up this nested loop?',
+        ],
+        model: models.coding,
+        fallbackModels: fallbackFor(models.coding),
+      },
+      general: {
+        description: 'Simple questions, greetings, casual conversation, basic information, small talk',
+        keywords: [],
+        examples: [
+          'Hello, how is it going?',
+          'What is the tallest mountain in the world?',
+          'Suggest a name for my cat',
+          'How many ounces are in a cup?',
+          'Tell me a fun fact',
+          'Thanks, that helped!',
+        ],
+        model: models.general,
+        fallbackModels: fallbackFor(models.general),
+      },
+      heavy: {
+        description: 'Research tasks, document creation (resumes, reports), complex analysis, detailed explanations, multi-step reasoning',
+        keywords: [
+          'research', 'analyze', 'resume', 'cv', 'report', 'document', 'thesis',
+          'essay', 'detailed', 'comprehensive', 'in-depth', 'investigate', 'compare',
+          'evaluate', 'assessment', 'proposal', 'presentation',
+        ],
+        examples: [
+          'Write a cover letter and resume for a product manager role',
+          'Analyze the pros and cons of remote work for a 500-person company',
+          'Draft a detailed business proposal for a coffee subscription service',
+          'Research the history and economic impact of the printing press',
+          'Compare three cloud providers for a healthcare startup in depth',
+          'Prepare a report on renewable energy adoption in Europe',
+        ],
+        model: models.heavy,
+        fallbackModels: fallbackFor(models.heavy),
+      },
+    },
+  };
+}
+
+/**
+ * Validate a raw routing table and fill in defaults
+ * Throws one error listing every problem found (err.status = 400)
+ * @returns {Object} - { defaultCategory, categories: [{ name, description, keywords, examples, model, fallbackModels, temperature, maxTokens,
+ *   reasoningEffort, reasoningMaxTokens, systemPrompt }] }
+ */
+export function validateRoutingTable(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('routing config must be an object');
+  } else {
+    for (const key of Object.keys(raw)) {
+      if (!TOP_LEVEL_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+    }
+  }
+
+  const entries = raw?.categories && typeof raw.categories === 'object' && !Array.isArray(raw.categories)
+    ? Object.entries(raw.categories)
+    : [];
+  if (raw && typeof raw === 'object' && !entries.length) {
+    problems.push('"categories" must be an object with at least one category');
+  }
+
+  const categories = [];
+  for (const [name, def] of entries) {
+    const at = `categories.${name}`;
+    if (!CATEGORY_NAME.test(name)) problems.push(`${at}: name must match ${CATEGORY_NAME}`);
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+      problems.push(`${at}: must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(def)) {
+      if (!CATEGORY_KEYS.includes(key)) problems.push(`${at}: unknown key "${key}"`);
+    }
+    if (typeof def.description !== 'string' || !def.description.trim()) {
+      problems.push(`${at}.description: required string`);
+    }
+    if (typeof def.model !== 'string' || !def.model.trim()) {
+      problems.push(`${at}.model: required string`);
+    }
+    if (def.keywords !== undefined && (!Array.isArray(def.keywords) || def.keywords.some(k => typeof k !== 'string' || !k.trim()))) {
+      problems.push(`${at}.keywords: must be a list of strings`);
+    }
+    if (def.examples !== undefined && (!Array.isArray(def.examples) || def.examples.some(e => typeof e !== 'string' || !e.trim()))) {
+      problems.push(`${at}.examples: must be a list of strings`);
+    }
+    if (def.fallbackModels !== undefined && (!Array.isArray(def.fallbackModels) || def.fallbackModels.some(m => typeof m !== 'string' || !m.trim()))) {
+      problems.push(`${at}.fallbackModels: must be a list of model ids`);
+    }
+    if (def.temperature !== undefined && (typeof def.temperature !== 'number' || def.temperature < 0 || def.temperature > 2)) {
+      problems.push(`${at}.temperature: must be a number between 0 and 2`);
+    }
+    if (def.maxTokens !== undefined && !(Number.isInteger(def.maxTokens) && def.maxTokens > 0)) {
+      problems.push(`${at}.maxTokens: must be a positive integer`);
+    }
+    if (def.reasoningEffort !== undefined && !REASONING_EFFORTS.includes(def.reasoningEffort)) {
+      problems.push(`${at}.reasoningEffort: must be one of ${REASONING_EFFORTS.join(', ')}`);
+    }
+    if (def.reasoningMaxTokens !== undefined && !(Number.isInteger(def.reasoningMaxTokens) && def.reasoningMaxTokens > 0)) {
+      problems.push(`${at}.reasoningMaxTokens: must be a positive integer`);
+    }
+    if (def.systemPrompt !== undefined && typeof def.systemPrompt !== 'string') {
+      problems.push(`${at}.systemPrompt: must be a string`);
+    }
+
+    categories.push({
+      name,
+      description: String(def.description || '').trim(),
+      keywords: Array.isArray(def.keywords) ? def.keywords.map(k => String(k).toLowerCase().trim()) : [],
+      examples: Array.isArray(def.examples) ? def.examples.map(e => String(e).trim()) : [],
+      model: String(def.model || '').trim(),
+      fallbackModels: Array.isArray(def.fallbackModels)
+        ? [...new Set(def.fallbackModels.map(m => String(m).trim()))].filter(m => m !== String(def.model || '').trim())
+        : [],
+      temperature: def.temperature ?? DEFAULT_TEMPERATURE,
+      maxTokens: def.maxTokens ?? (config.prompt.maxOutputTokens || 2048),
+      reasoningEffort: def.reasoningEffort ?? null,
+      reasoningMaxTokens: def.reasoningMaxTokens ?? null,
+      systemPrompt: def.systemPrompt?.trim() || null,
+    });
+  }
+
+  const names = categories.map(c => c.name);
+  const defaultCategory = raw?.defaultCategory ?? (names.includes('general') ? 'general' : names[0]);
+  if (raw?.defaultCategory !== undefined && !names.includes(raw.defaultCategory)) {
+    problems.push(`defaultCategory: "${raw.defaultCategory}" is not a defined category`);
+  }
+
+  if (problems.length) {
+    const err = new Error(`Invalid routing config:\n- ${problems.join('\n- ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return { defaultCategory, categories };
+}
+
+// Parse a routing file by extension
+async function parseRoutingFile(filePath) {
+  const text = await readFile(filePath, 'utf-8');
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * Load (or reload) the routing table from config.routing.configPath
+ * On failure the current table stays active and the error is thrown.
+ * @returns {Promise<Object>} - The active table
+ */
+export async function loadRoutingTable() {
+  const configPath = config.routing.configPath;
+  const source = configPath ? path.resolve(configPath) : 'built-in';
+  const raw = configPath ? await parseRoutingFile(source) : builtInRoutingTable();
+  const validated = validateRoutingTable(raw);
+
+  table = { ...validated, source, loadedAt: new Date().toISOString() };
+  console.log(`[Routing] Loaded ${table.categories.length} categories from ${source}: ${table.categories.map(c => c.name).join(', ')}`);
+  return table;
+}
+
+/**
+ * Active routing table (built-in until loadRoutingTable() has run)
+ */
+export function getRoutingTable() {
+  if (!table) {
+    table = { ...validateRoutingTable(builtInRoutingTable()), source: 'built-in', loadedAt: new Date().toISOString() };
+  }
+  return table;
+}
+
+export function getCategoryNames() {
+  return getRoutingTable().categories.map(c => c.name);
+}
+
+/**
+ * Category definition by name, or null
+ */
+export function getCategory(name) {
+  return getRoutingTable().categories.find(c => c.name === name) || null;
+}
+
+export function getDefaultCategory() {
+  return getRoutingTable().defaultCategory;
+}
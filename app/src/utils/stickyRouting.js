@@ -0,0 +1,133 @@
+/**
+ * Conversation-sticky routing
+ *
+ * Per-message classification can bounce a thread between models ("and in
+ * TypeScript?" looks like small talk on its own). The conversation keeps the
+ * category and model it was last routed to in `routing_state`:
+ *   { category, model, pending_category, pending_count, updated }
+ * and a new classification only replaces it when it is confident and either
+ * - moves into a boundary category (ROUTER_STICKY_BOUNDARY, default coding and heavy), or
+ * - has named the same other category for ROUTER_STICKY_SWITCH_TURNS turns in a row.
+ * Otherwise the previous category is kept and the turn counts toward the switch.
+ * The state is written once the turn is saved (services/chat.service.js), from
+ * its routing.sticky record, so failed generations and regenerations leave it alone.
+ * Manual overrides bypass stickiness and leave the state alone.
+ */
+
+import config from '../config/config.js';
+import { getCategory } from './routingTable.js';
+import { ClassificationMethod, selectModelForCategory } from './queryRouter.js';
+
+/**
+ * Outcome of applyStickyRouting(), stored as routing.sticky.decision
+ */
+export const StickyDecision = {
+  INITIAL: 'initial',   // first routed turn of the conversation
+  SAME: 'same',         // classification matches the conversation's category
+  HELD: 'held',         // different classification, previous category kept
+  SWITCHED: 'switched', // different classification accepted
+};
+
+// Whether the classification is trustworthy enough to move a conversation
+function isConfident(route) {
+  switch (route.method) {
+    case ClassificationMethod.HEURISTIC:
+    case ClassificationMethod.CACHE:
+    case ClassificationMethod.LLM:
+      return true;
+    case ClassificationMethod.EMBEDDING:
+      return (route.confidence ?? 0) >= config.routing.embedding.minMargin;
+    default:
+      // Keyword and default fallbacks are guesses
+      return false;
+  }
+}
+
+function buildState(category, model, pendingCategory = null, pendingCount = 0) {
+  return {
+    category,
+    model,
+    pending_category: pendingCategory,
+    pending_count: pendingCount,
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Apply the conversation's routing state to a fresh routeQuery() result
+ * @param {Object} route - routeQuery() result
+ * @param {Object|null} state - conversation.routing_state
+ * @returns {Object} - The route with `sticky`:
+ *   { decision, previousCategory, classifiedCategory, pendingCount, switchAfter, reason }
+ */
+export function applyStickyRouting(route, state) {
+  const { switchAfter, boundaryCategories } = config.routing.sticky;
+  const classifiedCategory = route.category;
+  const previousCategory = state?.category && getCategory(state.category) ? state.category : null;
+  const sticky = { previousCategory, classifiedCategory, pendingCount: 0, switchAfter, reason: null };
+
+  if (!previousCategory || previousCategory === classifiedCategory) {
+    return { ...route, sticky: { ...sticky, decision: previousCategory ? StickyDecision.SAME : StickyDecision.INITIAL } };
+  }
+
+  const confident = isConfident(route);
+  const pendingCount = confident
+    ? (state.pending_category === classifiedCategory ? (Number(state.pending_count) || 0) : 0) + 1
+    : 0;
+
+  const reason = !confident ? null
+    : boundaryCategories.includes(classifiedCategory) ? 'boundary'
+      : pendingCount >= switchAfter ? 'consecutive'
+        : null;
+  if (reason) {
+    return { ...route, sticky: { ...sticky, decision: StickyDecision.SWITCHED, pendingCount, reason } };
+  }
+
+  const kept = selectModelForCategory(previousCategory);
+  return {
+    ...route,
+    ...kept,
+    category: previousCategory,
+    reasoning: `Sticky: kept ${previousCategory} (classified ${classifiedCategory}${confident ? `, ${pendingCount}/${switchAfter} turns` : ', low confidence'})`,
+    sticky: { ...sticky, decision: StickyDecision.HELD, pendingCount, reason: confident ? 'pending' : 'low_confidence' },
+  };
+}
+
+/**
+ * Conversation routing state after a turn answered with `routing`
+ * @param {Object} routing - The turn's routing decision (routing event), with `sticky`
+ * @returns {Object} - { category, model, pending_category, pending_count, updated }
+ */
+export function nextRoutingState(routing) {
+  const { decision, classifiedCategory, pendingCount, reason } = routing.sticky;
+  // The routed model, not a fallback that answered for it
+  const model = routing.requestedModel || routing.model;
+  return decision === StickyDecision.HELD && reason === 'pending'
+    ? buildState(routing.category, model, classifiedCategory, pendingCount)
+    : buildState(routing.category, model);
+}
+
+// routing_state of a conversation record, or null
+export function routingStateOf(conversation) {
+  return conversation?.routing_state?.category ? conversation.routing_state : null;
+}
+
+/**
+ * Routing state of a conversation (null when it has none or cannot be read)
+ */
+export async function getRoutingState(pb, conversationId) {
+  try {
+    return routingStateOf(await pb.collection('conversations').getOne(conversationId));
+  } catch (e) {
+    console.warn('[Router] Failed to read routing state:', e?.message || e);
+    return null;
+  }
+}
+
+export async function saveRoutingState(pb, conversationId, state) {
+  try {
+    await pb.collection('conversations').update(conversationId, { routing_state: state });
+  } catch (e) {
+    console.warn('[Router] Failed to save routing state:', e?.message || e);
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Stream Event Protocol
+ *
+ * streamAIResponse() yields typed AI events instead of string markers.
+ * Chat routes translate them into versioned wire events through the shared
+ * stream writer (utils/streamWriter.js), so model output can never be
+ * mistaken for a control signal.
+ * In compare mode several answers share one stream: every event of an answer
+ * carries the `modelId` it belongs to (see interleaveAIEvents()).
+ */
+
+/**
+ * Version of the wire schema sent to clients (bump on breaking changes)
+ */
+export const STREAM_PROTOCOL_VERSION = 1;
+
+/**
+ * Events yielded by streamAIResponse()
+ */
+export const AIEventType = {
+  ROUTING: 'routing',                 // Model picked: { model, category, reasoning, routingTime, source, temperature, method, confidence, classifierModel, classifierLatency, classifierUsage, attachments, attachmentSignal, sticky, reasoningEffort }
+  MODEL_FALLBACK: 'model_fallback',   // Model failed before answering, next one takes over: { from, to, reason, attempt }
+  REASONING_START: 'reasoning_start', // Model entered its reasoning phase
+  REASONING_DELTA: 'reasoning_delta', // Reasoning text: { text }
+  REASONING_END: 'reasoning_end',     // Reasoning done, answer follows
+  TEXT_DELTA: 'text_delta',           // Answer text: { text }
+  TITLE: 'title',                     // Conversation title from unified output: { title }
+  SUMMARY: 'summary',                 // Answer summary from unified output: { summary }
+  USAGE: 'usage',                     // Token usage: { usage }
+  INTERRUPTED: 'interrupted',         // Generation aborted before completion: { reason }
+  ERROR: 'error',                     // Provider/stream failure: { message }
+};
+
+/**
+ * Events written to the client
+ */
+export const WireEventType = {
+  INIT: 'init',
+  ROUTING: 'routing',
+  MODEL_FALLBACK: 'model_fallback',
+  REASONING: 'reasoning',
+  CHUNK: 'chunk',
+  TITLE: 'title',
+  SUMMARY: 'summary',
+  USAGE: 'usage',
+  INTERRUPTED: 'interrupted',
+  FINAL: 'final',
+  ERROR: 'error',
+};
+
+/**
+ * AI event constructors
+ */
+export const aiEvent = {
+  routing: ({ model, category, reasoning, routingTime, source, temperature, method = null, confidence = null, classifierModel = null, classifierLatency = null, classifierUsage = null, attachments = null, attachmentSignal = null, sticky = null, reasoningEffort = null }) => ({
+    type: AIEventType.ROUTING, model, category, reasoning, routingTime, source, temperature, method, confidence, classifierModel, classifierLatency, classifierUsage, attachments, attachmentSignal, sticky, reasoningEffort,
+  }),
+  modelFallback: ({ from, to, reason, attempt }) => ({
+    type: AIEventType.MODEL_FALLBACK, from, to, reason, attempt,
+  }),
+  reasoningStart: () => ({ type: AIEventType.REASONING_START }),
+  reasoningDelta: (text) => ({ type: AIEventType.REASONING_DELTA, text }),
+  reasoningEnd: () => ({ type: AIEventType.REASONING_END }),
+  textDelta: (text) => ({ type: AIEventType.TEXT_DELTA, text }),
+  title: (title) => ({ type: AIEventType.TITLE, title }),
+  summary: (summary) => ({ type: AIEventType.SUMMARY, summary }),
+  usage: (usage) => ({ type: AIEventType.USAGE, usage }),
+  interrupted: (reason) => ({ type: AIEventType.INTERRUPTED, reason }),
+  error: (message) => ({ type: AIEventType.ERROR, message }),
+};
+
+/**
+ * Map an AI event to its wire representation
+ * @param {Object} event - Event yielded by streamAIResponse()
+ * @returns {Object|null} - Wire event (without version), or null if not forwarded;
+ *   compare-mode events keep their `modelId`
+ */
+export function toWireEvent(event) {
+  const wire = wireEventOf(event);
+  return wire && event.modelId ? { ...wire, modelId: event.modelId } : wire;
+}
+
+function wireEventOf(event) {
+  switch (event?.type) {
+    case AIEventType.ROUTING:
+      return {
+        type: WireEventType.ROUTING,
+        model: event.model,
+        category: event.category,
+        reasoning: event.reasoning,
+        routingTime: event.routingTime,
+        source: event.source,
+        temperature: event.temperature,
+        sticky: event.sticky ?? null,
+        reasoningEffort: event.reasoningEffort ?? null,
+      };
+    case AIEventType.MODEL_FALLBACK:
+      return { type: WireEventType.MODEL_FALLBACK, from: event.from, to: event.to, reason: event.reason };
+    case AIEventType.REASONING_START:
+      return { type: WireEventType.REASONING, status: 'start', message: 'Thinking...' };
+    case AIEventType.REASONING_DELTA:
+      return { type: WireEventType.REASONING, status: 'thinking', content: event.text };
+    case AIEventType.REASONING_END:
+      return { type: WireEventType.REASONING, status: 'complete', message: 'Analysis complete' };
+    case AIEventType.TEXT_DELTA:
+      return { type: WireEventType.CHUNK, text: event.text };
+    case AIEventType.TITLE:
+      return { type: WireEventType.TITLE, title: event.title };
+    case AIEventType.SUMMARY:
+      return { type: WireEventType.SUMMARY, summary: event.summary };
+    case AIEventType.USAGE:
+      return { type: WireEventType.USAGE, usage: event.usage };
+    case AIEventType.INTERRUPTED:
+      return { type: WireEventType.INTERRUPTED, reason: event.reason };
+    case AIEventType.ERROR:
+      return { type: WireEventType.ERROR, message: event.message || 'stream failed' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Consume streamAIResponse() events and collect the outcome
+ * @param {AsyncGenerator} generator - Result of streamAIResponse()
+ * @param {Function} [onEvent] - Called with every AI event as it arrives
+ * @returns {Promise<Object>} - { assistantText, reasoningText, title, summary, usage, routing, interrupted, error }
+ *   where routing.model is the model that answered (routing.requestedModel the routed one)
+ *   and routing.fallbacks lists the switches
+ */
+export async function collectAIEvents(generator, onEvent = null) {
+  const collector = createEventCollector();
+  for await (const event of generator) {
+    collector.add(event);
+    onEvent?.(event);
+  }
+  return collector.result();
+}
+
+/**
+ * Consume an interleaved compare stream and collect one outcome per model
+ * @param {AsyncGenerator} generator - Result of interleaveAIEvents()
+ * @param {Function} [onEvent] - Called with every AI event as it arrives
+ * @returns {Promise<Object>} - { [modelId]: collectAIEvents() result }, in the order models first appeared
+ */
+export async function collectCompareEvents(generator, onEvent = null) {
+  const collectors = new Map();
+  for await (const event of generator) {
+    if (!collectors.has(event.modelId)) collectors.set(event.modelId, createEventCollector());
+    collectors.get(event.modelId).add(event);
+    onEvent?.(event);
+  }
+  return Object.fromEntries([...collectors].map(([modelId, collector]) => [modelId, collector.result()]));
+}
+
+/**
+ * Run several event streams at once and yield their events as they arrive,
+ * each tagged with the `modelId` of its stream
+ * When the consumer stops early (or one stream throws), the streams still
+ * running are closed so their provider requests do not keep going.
+ * @param {Object[]} streams - [{ modelId, generator }]
+ */
+export async function* interleaveAIEvents(streams) {
+  // modelId -> { generator, next } where next is the pending generator.next()
+  const pending = new Map();
+  const pull = (modelId, generator) => {
+    pending.set(modelId, { generator, next: generator.next().then(result => ({ modelId, generator, result })) });
+  };
+  try {
+    for (const { modelId, generator } of streams) pull(modelId, generator);
+
+    while (pending.size) {
+      const { modelId, generator, result } = await Promise.race([...pending.values()].map(p => p.next));
+      if (result.done) {
+        pending.delete(modelId);
+        continue;
+      }
+      pull(modelId, generator);
+      yield { ...result.value, modelId };
+    }
+  } finally {
+    for (const { generator, next } of pending.values()) {
+      // Runs once the in-flight next() settles; not awaited so a slow stream does not hold the caller
+      next.catch(() => {});
+      generator.return().catch(() => {});
+    }
+  }
+}
+
+// Folds AI events into the outcome returned by collectAIEvents()
+function createEventCollector() {
+  let assistantText = '';
+  let reasoningText = '';
+  let title = null;
+  let summary = null;
+  let usage = {};
+  let routing = null;
+  let interrupted = null;
+  let error = null;
+
+  function add(event) {
+    switch (event?.type) {
+      case AIEventType.TEXT_DELTA:
+        assistantText += event.text;
+        break;
+      case AIEventType.REASONING_DELTA:
+        reasoningText += event.text;
+        break;
+      case AIEventType.TITLE:
+        title = event.title;
+        break;
+      case AIEventType.SUMMARY:
+        summary = event.summary;
+        break;
+      case AIEventType.ROUTING:
+        routing = {
+          model: event.model,
+          category: event.category,
+          reasoning: event.reasoning,
+          routingTime: event.routingTime,
+          source: event.source,
+          temperature: event.temperature,
+          method: event.method,
+          confidence: event.confidence,
+          classifierModel: event.classifierModel,
+          classifierLatency: event.classifierLatency,
+          classifierUsage: event.classifierUsage,
+          attachments: event.attachments ?? null,
+          attachmentSignal: event.attachmentSignal ?? null,
+          sticky: event.sticky ?? null,
+          reasoningEffort: event.reasoningEffort ?? null,
+          requestedModel: event.model,
+          fallbacks: [],
+        };
+        break;
+      case AIEventType.MODEL_FALLBACK:
+        if (routing) {
+          routing.fallbacks.push({ from: event.from, to: event.to, reason: event.reason });
+          routing.model = event.to;
+        }
+        break;
+      case AIEventType.USAGE:
+        usage = event.usage || {};
+        break;
+      case AIEventType.INTERRUPTED:
+        interrupted = event.reason;
+        break;
+      case AIEventType.ERROR:
+        error = new Error(event.message || 'stream failed');
+        break;
+    }
+  }
+
+  return {
+    add,
+    result: () => ({ assistantText, reasoningText, title, summary, usage, routing, interrupted, error }),
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Shared chat stream writer
+ *
+ * Every chat route writes its response through this helper so the wire
+ * format lives in one place. Two transports carry the same events:
+ * - NDJSON (default): one versioned JSON event per line
+ * - SSE: `Accept: text/event-stream` or `?transport=sse`, with `id:` fields
+ *   and periodic keep-alive comments so proxies don't buffer or drop it
+ * Every event carries its 1-based index (`id`); when a stream buffer is
+ * given, events are recorded there so a reconnecting client can replay them.
+ */
+
+import { WireEventType, STREAM_PROTOCOL_VERSION, toWireEvent, collectAIEvents, collectCompareEvents } from './streamEvents.js';
+import config from '../config/config.js';
+
+export const StreamTransport = {
+  NDJSON: 'ndjson',
+  SSE: 'sse',
+};
+
+/**
+ * Pick the transport requested by the client (NDJSON unless SSE is asked for)
+ */
+export function detectTransport(req) {
+  const flag = String(req?.query?.transport || '').toLowerCase();
+  if (flag === StreamTransport.SSE) return StreamTransport.SSE;
+  if (flag === StreamTransport.NDJSON) return StreamTransport.NDJSON;
+  const accept = String(req?.headers?.accept || '').toLowerCase();
+  return accept.includes('text/event-stream') ? StreamTransport.SSE : StreamTransport.NDJSON;
+}
+
+/**
+ * Create a writer bound to an Express request/response
+ * @param {Object} req - Express request (used to pick the transport)
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {Object} [options.stream] - Stream buffer (services/streamBuffer.service.js) to record events in
+ * @returns {Object} - { transport, closed, open, send, replay, init, pipe, pipeCompare, final, error, end }
+ */
+export function createStreamWriter(req, res, { stream = null } = {}) {
+  const transport = detectTransport(req);
+  let closed = false;
+  let eventId = 0;
+  let keepAliveTimer = null;
+
+  // Client went away: stop writing (the route decides what to cancel)
+  res.on?.('close', () => {
+    closed = true;
+    if (keepAliveTimer) clearInterval(keepAliveTimer);
+  });
+
+  function open() {
+    if (res.headersSent) return;
+    if (transport === StreamTransport.SSE) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no'); // nginx: don't buffer the stream
+      res.flushHeaders?.();
+
+      const interval = config.stream.keepAliveMs;
+      if (interval > 0) {
+        keepAliveTimer = setInterval(() => {
+          if (closed) return;
+          try { res.write(': keep-alive\n\n'); } catch {}
+        }, interval);
+        keepAliveTimer.unref?.();
+      }
+      return;
+    }
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+  }
+
+  // Write one indexed event ({ id, event }) in the selected transport
+  function replay({ id, event }) {
+    if (closed) return;
+    const payload = JSON.stringify({ v: STREAM_PROTOCOL_VERSION, id, ...event });
+    try {
+      if (transport === StreamTransport.SSE) {
+        res.write(`id: ${id}\nevent: ${event.type}\ndata: ${payload}\n\n`);
+      } else {
+        res.write(payload + '\n');
+      }
+    } catch {}
+  }
+
+  function send(event) {
+    if (!event) return;
+    // Recorded even after this client left, so a resume can pick it up
+    const entry = stream ? stream.push(event) : { id: ++eventId, event };
+    replay(entry);
+  }
+
+  /**
+   * Forward AI events to the client and collect the outcome
+   * @param {AsyncGenerator} generator - Result of streamAIResponse()
+   * @returns {Promise<Object>} - { assistantText, title, summary, usage, routing, interrupted, error }
+   */
+  async function pipe(generator) {
+    return collectAIEvents(generator, (event) => send(toWireEvent(event)));
+  }
+
+  /**
+   * pipe() for compare mode: events are forwarded with their modelId
+   * @param {AsyncGenerator} generator - Result of streamCompareResponses()
+   * @returns {Promise<Object>} - { [modelId]: { assistantText, usage, routing, interrupted, error, ... } }
+   */
+  async function pipeCompare(generator) {
+    return collectCompareEvents(generator, (event) => send(toWireEvent(event)));
+  }
+
+  return {
+    transport,
+    open,
+    send,
+    replay,
+    pipe,
+    pipeCompare,
+    init: (conversation, extra = {}) => send({ type: WireEventType.INIT, conversation, ...extra }),
+    final: (data) => send({ type: WireEventType.FINAL, data }),
+    error: (err) => send({ type: WireEventType.ERROR, message: err?.message || 'stream failed' }),
+    get closed() {
+      return closed;
+    },
+    end() {
+      if (keepAliveTimer) clearInterval(keepAliveTimer);
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+  };
+}
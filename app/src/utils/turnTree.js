@@ -0,0 +1,77 @@
+/**
+ * Conversation turn tree
+ *
+ * Turns form a tree through their `parent` pointer; editing a past user
+ * message adds a sibling branch. The conversation's `active_leaf` selects
+ * which root→leaf path is the visible conversation (and what memory sees).
+ *
+ * Turns saved before branching existed have no `parent`: each one continues
+ * the previous turn (by `created`). Branch roots are marked with `root: true`.
+ */
+
+/**
+ * Map turnId -> parent turnId (null for roots)
+ * @param {Array} turns - Turns sorted by `created`
+ */
+export function buildParentMap(turns = []) {
+  const parents = new Map();
+  turns.forEach((t, i) => {
+    if (t.parent) parents.set(t.id, t.parent);
+    else if (t.root) parents.set(t.id, null);
+    else parents.set(t.id, i > 0 ? turns[i - 1].id : null);
+  });
+  return parents;
+}
+
+export function getParentId(turns, turnId) {
+  return buildParentMap(turns).get(turnId) ?? null;
+}
+
+/**
+ * Turns from the root down to turnId (inclusive); [] if turnId is null or unknown
+ */
+export function getPathToTurn(turns = [], turnId) {
+  if (!turnId) return [];
+  const byId = new Map(turns.map(t => [t.id, t]));
+  const parents = buildParentMap(turns);
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(turnId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.push(current);
+    current = byId.get(parents.get(current.id));
+  }
+  return path.reverse();
+}
+
+/**
+ * Most recent leaf below turnId (turnId itself if it has no children)
+ */
+export function findLatestLeaf(turns = [], turnId) {
+  const parents = buildParentMap(turns);
+  let leaf = turnId;
+  for (;;) {
+    // turns are sorted by created, so the last child is the newest
+    const children = turns.filter(t => parents.get(t.id) === leaf);
+    if (!children.length) return leaf;
+    leaf = children[children.length - 1].id;
+  }
+}
+
+/**
+ * Active leaf of a conversation: its stored pointer if still valid, else the newest turn
+ */
+export function resolveActiveLeaf(turns = [], activeLeafId = null) {
+  if (activeLeafId && turns.some(t => t.id === activeLeafId)) return activeLeafId;
+  return turns.length ? turns[turns.length - 1].id : null;
+}
+
+/**
+ * Ids of turns sharing turnId's parent (including itself), oldest first
+ */
+export function getSiblingIds(turns = [], turnId) {
+  const parents = buildParentMap(turns);
+  const parent = parents.get(turnId) ?? null;
+  return turns.filter(t => (parents.get(t.id) ?? null) === parent).map(t => t.id);
+}
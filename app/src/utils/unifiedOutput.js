@@ -3,6 +3,8 @@
  * Extracts title, summary, and response from structured model output
  */
 
+import { aiEvent } from './streamEvents.js';
+
 /**
  * Parse structured LLM output with embedded blocks
  * @param {string} rawOutput - Raw model output containing structured blocks
@@ -92,12 +94,16 @@ export function parseUnifiedOutput(rawOutput) {
 
 /**
  * Build system prompt for unified output generation
- * @param {Object} options - { needsTitle, userInstruction, contextText }
+ * @param {Object} options - { needsTitle, userInstruction, contextText, factsText, categoryPrompt }
  * @returns {string} - System prompt for unified output
  */
-export function buildUnifiedSystemPrompt({ needsTitle = false, userInstruction = null, contextText = null, factsText = null }) {
+export function buildUnifiedSystemPrompt({ needsTitle = false, userInstruction = null, contextText = null, factsText = null, categoryPrompt = null }) {
   let prompt = "You are an assistant that provides structured responses. ";
   
+  if (categoryPrompt) {
+    prompt += categoryPrompt + "\n\n";
+  }
+  
   if (contextText) {
     prompt += "Use the following context only if relevant:\nCONTEXT:\n" + contextText + "\n\n";
   }
@@ -215,4 +221,153 @@ export function fallbackParse(rawOutput, expectTitle = false) {
   }
 
   return result;
-}
\ No newline at end of file
+}
+
+const BLOCK_TAGS = {
+  title: { open: '{{{{title}}}}', close: '{{{{/title}}}}' },
+  summary: { open: '{{{{summary}}}}', close: '{{{{/summary}}}}' },
+  response: { open: '{{{{response}}}}', close: '{{{{/response}}}}' },
+};
+const MAX_TITLE_CHARS = 120;
+const MAX_SUMMARY_CHARS = 500;
+
+// Earliest tag (case-insensitive) in text: { index, tag } or null
+function findFirstTag(text, tags) {
+  const lower = text.toLowerCase();
+  let best = null;
+  for (const tag of tags) {
+    const index = lower.indexOf(tag);
+    if (index !== -1 && (!best || index < best.index)) best = { index, tag };
+  }
+  return best;
+}
+
+// Length of the longest suffix of text that could be the start of a tag
+function partialTagLength(text, tags) {
+  const lower = text.toLowerCase();
+  const start = Math.max(0, lower.length - Math.max(...tags.map(t => t.length)) + 1);
+  for (let i = start; i < lower.length; i++) {
+    const tail = lower.slice(i);
+    if (tags.some(tag => tag.startsWith(tail))) return lower.length - i;
+  }
+  return 0;
+}
+
+/**
+ * Incremental parser for streamed unified output
+ * Feed raw model text as it arrives; returns AI events (utils/streamEvents.js):
+ * `title` / `summary` as soon as their block closes, and `text_delta` for the
+ * response block only. Text outside any block is treated as response, so a
+ * model that ignores the format still streams its answer.
+ * @param {Object} options - { expectTitle }
+ * @returns {Object} - { push(text) => events, end() => events, rawText }
+ */
+export function createUnifiedStreamParser({ expectTitle = false } = {}) {
+  const openTags = Object.values(BLOCK_TAGS).map(t => t.open);
+  let raw = '';
+  let buffer = '';
+  let mode = 'outside'; // outside | title | summary | response | loose (response text outside blocks)
+  let startedResponse = false;
+  let block = '';
+  let title = null;
+  let summary = null;
+
+  // Tags that end the current run of text in each mode
+  function tagsFor(current) {
+    if (current === 'title' || current === 'summary' || current === 'response') return [BLOCK_TAGS[current].close];
+    return openTags;
+  }
+
+  function emitText(text, events) {
+    // Leading whitespace between blocks is layout, not answer text
+    const out = startedResponse ? text : text.replace(/^\s+/, '');
+    if (!out) return;
+    startedResponse = true;
+    events.push(aiEvent.textDelta(out));
+  }
+
+  function closeBlock(events) {
+    const text = block.trim();
+    block = '';
+    if (mode === 'title' && text && !title) {
+      title = text.slice(0, MAX_TITLE_CHARS).trim();
+      events.push(aiEvent.title(title));
+    } else if (mode === 'summary' && text && !summary) {
+      summary = text.slice(0, MAX_SUMMARY_CHARS).trim();
+      events.push(aiEvent.summary(summary));
+    }
+  }
+
+  // Consume as much of the buffer as can be decided; keep a possible partial tag
+  function drain(events, final = false) {
+    for (;;) {
+      const tags = tagsFor(mode);
+      const found = findFirstTag(buffer, tags);
+      const cut = found ? found.index : buffer.length - (final ? 0 : partialTagLength(buffer, tags));
+      const content = buffer.slice(0, cut);
+      buffer = buffer.slice(cut);
+
+      if (mode === 'title' || mode === 'summary') {
+        block += content;
+      } else if (mode === 'response' || mode === 'loose') {
+        emitText(content, events);
+      } else if (content.trim()) {
+        // Text outside any block: the model is not following the format here
+        mode = 'loose';
+        emitText(content, events);
+      }
+
+      if (!found) return;
+      buffer = buffer.slice(found.tag.length);
+      if (mode === 'title' || mode === 'summary') {
+        closeBlock(events);
+        mode = 'outside';
+      } else if (mode === 'response') {
+        mode = 'outside';
+      } else {
+        mode = Object.keys(BLOCK_TAGS).find(name => BLOCK_TAGS[name].open === found.tag);
+      }
+    }
+  }
+
+  return {
+    get rawText() {
+      return raw;
+    },
+
+    push(text) {
+      const events = [];
+      if (!text) return events;
+      raw += text;
+      buffer += text;
+      drain(events);
+      return events;
+    },
+
+    /**
+     * Flush held-back text; fill a missing title/summary with fallbackParse()
+     * when validateParsedOutput() finds the format was not followed
+     */
+    end() {
+      const events = [];
+      drain(events, true);
+      if (mode === 'title' || mode === 'summary') closeBlock(events);
+
+      const parsed = parseUnifiedOutput(raw);
+      const validation = validateParsedOutput(parsed, expectTitle);
+      if (!validation.isValid && raw.trim()) {
+        console.warn(`[Unified] Model ignored output format (missing: ${validation.missingFields.join(', ') || 'none'}); using fallback parser`);
+        const fallback = fallbackParse(raw, expectTitle);
+        if (expectTitle && !title && fallback.hasTitle) {
+          title = fallback.title.slice(0, MAX_TITLE_CHARS).trim();
+          events.push(aiEvent.title(title));
+        }
+        if (!summary && fallback.hasSummary) {
+          summary = fallback.summary.slice(0, MAX_SUMMARY_CHARS).trim();
+          events.push(aiEvent.summary(summary));
+        }
+      }
+      return events;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Persistent RAG chunks
+ *
+ * Embedded chunks of a conversation's turns and attachments are stored in the
+ * PocketBase `rag_chunks` collection, so a restart or another instance loads
+ * them instead of embedding the conversation again (utils/rag.js):
+ *   { conversation, turn, source, chunk_hash, text, embedding, embed_model, embed_dims, index_version }
+ * A chunk is identified by conversation, turn and chunk_hash (sha256 of its
+ * text); a unique index on those fields keeps concurrent instances from
+ * storing it twice. Chunks embedded with another model (EMBED_MODEL) or index
+ * version are deleted on load and embedded again.
+ */
+
+import { createHash } from 'node:crypto';
+import config from '../config/config.js';
+
+const COLLECTION = 'rag_chunks';
+
+// Bump when chunking or text normalization changes so stored chunks are rebuilt
+export const RAG_INDEX_VERSION = 1;
+
+export function chunkHash(text) {
+  return createHash('sha256').update(String(text)).digest('hex');
+}
+
+// The unique index rejected the record: another instance stored the chunk first
+function isDuplicate(e) {
+  return e?.status === 400 && Object.values(e?.response?.data || {}).some(f => f?.code === 'validation_not_unique');
+}
+
+function isCurrent(record) {
+  return record.embed_model === config.openrouter.embedModel
+    && Number(record.index_version) === RAG_INDEX_VERSION
+    && Array.isArray(record.embedding);
+}
+
+/**
+ * Stored chunks of a conversation
+ * Throws when the collection cannot be read (e.g. it does not exist).
+ * @returns {Promise<Object>} - { docs: [{ id, text, embedding, turnId, source }], stale: [record ids] }
+ */
+export async function loadChunks(pb, conversationId) {
+  const records = await pb.collection(COLLECTION).getFullList(500, {
+    filter: `conversation = "${conversationId}"`,
+    fields: 'id,turn,source,text,embedding,embed_model,index_version',
+  });
+  const docs = [];
+  const stale = [];
+  for (const r of records) {
+    if (isCurrent(r)) docs.push({ id: r.id, text: r.text, embedding: r.embedding, turnId: r.turn || null, source: r.source });
+    else stale.push(r.id);
+  }
+  return { docs, stale };
+}
+
+/**
+ * Store newly embedded chunks; each saved doc gets its record `id`
+ * Failures are logged and skipped: the chunks stay usable in memory.
+ */
+export async function saveChunks(pb, conversationId, docs) {
+  const embedModel = config.openrouter.embedModel;
+  for (const doc of docs) {
+    try {
+      const record = await pb.collection(COLLECTION).create({
+        conversation: conversationId,
+        turn: doc.turnId,
+        source: doc.source,
+        chunk_hash: chunkHash(doc.text),
+        text: doc.text,
+        embedding: doc.embedding,
+        embed_model: embedModel,
+        embed_dims: doc.embedding.length,
+        index_version: RAG_INDEX_VERSION,
+      });
+      doc.id = record.id;
+    } catch (e) {
+      if (!isDuplicate(e)) console.warn('[RAG] Failed to store chunk:', e?.message || e);
+    }
+  }
+}
+
+export async function deleteChunks(pb, ids) {
+  for (const id of ids) {
+    try {
+      await pb.collection(COLLECTION).delete(id);
+    } catch (e) {
+      if (e?.status !== 404) console.warn('[RAG] Failed to delete chunk:', e?.message || e);
+    }
+  }
+}